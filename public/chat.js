@@ -7,7 +7,15 @@ import { SpatialAudioEngine } from './modules/audio/spatial-engine.js';
 import { WebRTCManager } from './modules/network/webrtc-mesh.js';
 import { SecureWhiteboard } from './modules/canvas/whiteboard.js';
 import { HandshakeManager } from './modules/crypto/handshake.js';
+import { IdentityKeys, TrustStore } from './modules/crypto/identity.js';
+import { SafetyNumbers } from './modules/crypto/safety.js';
+import { RoomKeyring } from './modules/crypto/keyring.js';
+import { KEM_MODES } from './modules/crypto/kem.js';
+import { InviteLinks } from './modules/crypto/invites.js';
 import { SovereignCallManager } from './modules/network/sovereign-calls.js';
+import { FileCipher } from './modules/crypto/file-cipher.js';
+import { MessageCache } from './modules/storage/message-cache.js';
+import { DeviceLink } from './modules/crypto/device-link.js';
 
 // Global Socket, defined in HTML script
 // const socket = io(); // We use this.socket inside class.
@@ -25,10 +33,28 @@ class AESChatApp {
         this.isRecording = false;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        this.voiceAudio = new Map(); // messageId -> decrypted voice message (memory only)
         this.recordingStartTime = null;
         this.isConnected = false;
-        this.isCreator = false;
+        this.joinReady = false; // Keys and cache are loaded: joins can be sent
+        this.role = 'member'; // Our role in this room, as the server assigned it
+        this.roles = []; // Role names, lowest to highest (from the server)
+        this.permissions = {}; // action -> lowest role allowed (from the server)
+        this.lobbyRequests = []; // Join requests waiting for approval (moderators only)
+        this.bans = []; // Banned members (moderators only)
         this.callManager = null;
+        this.identity = null;
+        this.keyring = null; // RoomKeyring: epoch -> room key
+        this.keyEpoch = 0; // Epoch of encryptionKey, as registered with the server
+        this.keyJoinId = 0;
+        this.roomSettings = {}; // Last settings from the server (requirePQC is read by the handshake)
+        this.passphrase = null; // Passphrase rooms: { key, proof } derived from the passphrase
+        this.pendingInvite = null; // { token, secret } from a keyed invite link
+        this.cache = null; // Unlocked MessageCache, if the offline cache is enabled on this device
+        this.cacheSaveTimer = null;
+        this.syncedAt = null; // Server time of the last sync; older changes are already applied
+        this.deviceLink = null; // Linking in progress: { role: 'offer'|'join', code, keyPair, peerKey }
+        this.trust = new Map(); // userId -> { status, verified, fingerprint } from the TOFU store
 
         // Persistent User ID for alignment
         this.userId = localStorage.getItem('aes-persistent-uid');
@@ -36,6 +62,7 @@ class AESChatApp {
             this.userId = 'u-' + Math.random().toString(36).substring(2, 11);
             localStorage.setItem('aes-persistent-uid', this.userId);
         }
+        this.deviceId = DeviceLink.deviceId();
 
         this.init();
     }
@@ -51,6 +78,10 @@ class AESChatApp {
                 return;
             }
 
+            // Keyed invite: take the secret out of the address bar (and history) right away
+            this.pendingInvite = InviteLinks.parse(window.location.hash);
+            if (this.pendingInvite) history.replaceState(null, '', window.location.pathname);
+
             // PQC Integration: Key is now established via handshake after join
             // We no longer deterministically derive it from Room ID.
             if (!window.AESEncryption) {
@@ -151,12 +182,263 @@ class AESChatApp {
         this.callManager = new SovereignCallManager(this.socket);
         this.setupCallHandlers();
 
-        // Join the room
+        // Join the room once our identity and KEM keys are ready; the KEM key is what
+        // a rotated room key gets encapsulated to
+        this.handshakeManager = new HandshakeManager(this.socket, this);
+        IdentityKeys.load()
+            .then(identity => { this.identity = identity; })
+            .then(() => this.handshakeManager.prepareKemKey())
+            .catch(err => console.error('[ID] Identity key unavailable:', err))
+            .then(() => this.loadPassphrase())
+            .then(() => this.openCache())
+            .then(() => {
+                // From here on the connect handler sends every (re)join
+                this.joinReady = true;
+                if (this.socket.connected) return this.emitJoinRoom();
+            });
+    }
+
+    async emitJoinRoom() {
+        // With history already on screen (cache or reconnect) only ask for what changed
+        const last = this.messages[this.messages.length - 1];
+        // Proves this socket holds the identity key: roles are bound to it
+        const identityProof = this.identity && this.socket.id
+            ? await this.handshakeManager.signed(['join', this.roomId, this.userId, this.socket.id]).catch(() => undefined)
+            : undefined;
         this.socket.emit('join-room', {
             roomId: this.roomId,
             userId: this.userId, // Send persistent ID
             userName: this.currentUser.name,
-            userAvatar: this.currentUser.avatar
+            userAvatar: this.currentUser.avatar,
+            identityKey: this.identity?.publicKey,
+            identityProof,
+            kemKey: this.handshakeManager?.kemKey,
+            kemSignature: this.handshakeManager?.kemSignature,
+            passphraseProof: this.passphrase?.proof,
+            since: last && this.syncedAt ? { id: last.id, at: this.syncedAt } : undefined,
+            deviceId: this.deviceId,
+            deviceName: DeviceLink.deviceName(),
+            ownerToken: localStorage.getItem(`aes-owner-${this.roomId}`) || undefined
+        });
+    }
+
+    /**
+     * Unlocks the offline cache (if this device has one) and renders the cached room.
+     * Cancelling the passcode prompt just means this session runs online-only.
+     */
+    async openCache() {
+        try {
+            if (!(await MessageCache.exists())) return;
+            const cache = new MessageCache();
+            let message = 'Enter your local passcode to open cached messages.';
+            for (;;) {
+                const passcode = await this.askPasscode('Unlock Offline Cache', message);
+                if (passcode === null) return;
+                if (await cache.unlock(passcode)) break;
+                message = 'Wrong passcode. Try again.';
+            }
+            await this.useCache(cache);
+        } catch (err) {
+            console.error('[CACHE] Unavailable:', err);
+        }
+    }
+
+    async useCache(cache) {
+        this.cache = cache;
+
+        // Keys: this tab's session copy wins; otherwise the cached keyring opens history offline
+        if (!this.keyring) this.keyring = new RoomKeyring(this.roomId);
+        if (!this.keyring.current && !(await this.keyring.restore())) {
+            const keys = await cache.loadKeys(this.roomId);
+            if (keys) await this.keyring.load(keys);
+        }
+        if (this.keyring.current) {
+            this.keyEpoch = this.keyring.epoch;
+            this.encryptionKey = this.keyring.current;
+        }
+
+        if (this.messages.length) return;
+        const cached = await cache.loadMessages(this.roomId);
+        for (const msg of cached.messages) await this.addMessage(msg, false);
+        this.syncedAt = cached.syncedAt;
+        this.scrollToBottom();
+        console.log(`[CACHE] Loaded ${cached.messages.length} cached messages`);
+    }
+
+    scheduleCacheSave() {
+        if (!this.cache) return;
+        clearTimeout(this.cacheSaveTimer);
+        this.cacheSaveTimer = setTimeout(() => this.saveCache(), 1000);
+    }
+
+    async saveCache() {
+        if (!this.cache) return;
+        try {
+            // Disappearing messages never touch the disk; undecrypted ones are kept as ciphertext
+            // (audioSrc: decrypted voice audio that older versions kept on the message)
+            const messages = this.messages
+                .filter(m => !m.disappearAt)
+                .map(m => {
+                    const { audioSrc, ...message } = m.raw || m;
+                    return message;
+                });
+            await this.cache.saveMessages(this.roomId, messages, this.syncedAt);
+            if (this.keyring?.current) await this.cache.saveKeys(this.roomId, await this.keyring.export());
+        } catch (err) {
+            console.error('[CACHE] Save failed:', err);
+        }
+    }
+
+    async enableOfflineCache() {
+        if (this.cache) {
+            this.showToast('Offline cache is already on', 'info');
+            return;
+        }
+        const cache = new MessageCache();
+        if (await MessageCache.exists()) {
+            const passcode = await this.askPasscode('Unlock Offline Cache', 'Enter your local passcode.');
+            if (passcode === null) return;
+            if (!(await cache.unlock(passcode))) {
+                this.showToast('Wrong passcode', 'error');
+                return;
+            }
+        } else {
+            const passcode = await this.askPasscode(
+                'Enable Offline Cache',
+                'Messages and room keys will be stored encrypted on this device. Choose a passcode (at least 6 characters) to unlock them.'
+            );
+            if (passcode === null) return;
+            if (passcode.length < 6) {
+                this.showToast('Passcode must be at least 6 characters', 'error');
+                return;
+            }
+            await cache.setup(passcode);
+        }
+        this.cache = cache;
+        this.syncedAt = this.syncedAt || Date.now();
+        await this.saveCache();
+        this.showToast('Offline cache enabled', 'success');
+    }
+
+    /**
+     * Shreds everything this device keeps: the offline cache for every room and the
+     * session copies of room keys and passphrase keys. The open session keeps working.
+     */
+    async wipeLocalData() {
+        if (!confirm('Delete all cached messages and stored room keys from this device?')) return;
+        clearTimeout(this.cacheSaveTimer);
+        this.cache = null;
+        try {
+            await MessageCache.wipe();
+        } catch (err) {
+            console.error('[CACHE] Wipe failed:', err);
+            this.showToast('Could not wipe the local cache', 'error');
+            return;
+        }
+        for (const key of Object.keys(sessionStorage)) {
+            if (/^aes-(keyring|key|passphrase)-/.test(key)) sessionStorage.removeItem(key);
+        }
+        this.showToast('Local data wiped', 'success');
+    }
+
+    /**
+     * @returns {Promise<string|null>} The passcode, or null if cancelled
+     */
+    askPasscode(title, message) {
+        return new Promise((resolve) => {
+            document.querySelector('.passcode-popup')?.remove();
+            const popup = document.createElement('div');
+            popup.className = 'passcode-popup';
+            popup.style.cssText = `
+                position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
+                background: var(--bg-secondary, #1a1a2e); border: 1px solid var(--border-color, #333);
+                border-radius: 12px; padding: 20px; z-index: 10000; width: 360px; max-width: 90vw;
+                box-shadow: 0 10px 40px rgba(0,0,0,0.5);
+            `;
+            popup.innerHTML = `
+                <h3 style="margin: 0 0 8px 0;">${this.escapeHtml(title)}</h3>
+                <p style="margin: 0 0 12px 0; font-size: 13px; opacity: 0.8;">${this.escapeHtml(message)}</p>
+                <form>
+                    <input type="password" autocomplete="off" style="width: 100%; padding: 8px; box-sizing: border-box; margin-bottom: 12px;">
+                    <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button type="button" class="btn-secondary" data-action="cancel">Cancel</button>
+                        <button type="submit" class="btn-primary">OK</button>
+                    </div>
+                </form>
+            `;
+            const input = popup.querySelector('input');
+            popup.querySelector('form').onsubmit = (e) => {
+                e.preventDefault();
+                popup.remove();
+                resolve(input.value);
+            };
+            popup.querySelector('[data-action="cancel"]').onclick = () => {
+                popup.remove();
+                resolve(null);
+            };
+            document.body.appendChild(popup);
+            input.focus();
+        });
+    }
+
+    /**
+     * Passphrase derived earlier in this tab (or on the landing page by the creator)
+     */
+    async loadPassphrase() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`aes-passphrase-${this.roomId}`) || 'null');
+            if (stored) {
+                this.passphrase = { key: await window.AESEncryption.importKey(stored.key), proof: stored.proof };
+            }
+        } catch (e) {
+            sessionStorage.removeItem(`aes-passphrase-${this.roomId}`);
+        }
+    }
+
+    /**
+     * The server refused our join: ask for the passphrase, derive, and join again
+     */
+    showPassphraseModal({ salt, iterations, error }) {
+        const modal = document.getElementById('passphraseModal');
+        const form = document.getElementById('passphraseForm');
+        const message = document.getElementById('passphraseMessage');
+        if (!modal || !form) return;
+
+        // The server only reports an error when it checked a proof. Without one, the join went
+        // out before a stored passphrase was loaded: keep that passphrase and retry with it.
+        if (!error && this.passphrase) {
+            this.emitJoinRoom();
+            return;
+        }
+        if (error) {
+            this.passphrase = null;
+            sessionStorage.removeItem(`aes-passphrase-${this.roomId}`);
+        }
+        if (message && error) message.textContent = `${error}. Please try again.`;
+        modal.style.display = 'flex';
+
+        // Remove existing listener to prevent duplicates
+        const newForm = form.cloneNode(true);
+        form.parentNode.replaceChild(newForm, form);
+        const input = document.getElementById('passphraseInput');
+        input.value = '';
+        input.focus();
+
+        newForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = newForm.querySelector('button');
+            button.disabled = true;
+            try {
+                this.passphrase = await window.AESEncryption.derivePassphraseKey(input.value, salt, iterations);
+                sessionStorage.setItem(`aes-passphrase-${this.roomId}`, JSON.stringify({
+                    key: await window.AESEncryption.exportKey(this.passphrase.key),
+                    proof: this.passphrase.proof
+                }));
+                modal.style.display = 'none';
+                this.emitJoinRoom();
+            } finally {
+                button.disabled = false;
+            }
         });
     }
 
@@ -176,6 +458,14 @@ class AESChatApp {
                     const code = await this.callManager.getSafetyCode();
                     const codeEl = document.getElementById('callSafetyCode');
                     if (codeEl) codeEl.textContent = code;
+
+                    const modeEl = document.getElementById('callKemMode');
+                    if (modeEl) {
+                        modeEl.textContent = {
+                            [KEM_MODES.CLASSICAL]: 'AES-256 / ECDH (NOT PQC)',
+                            [KEM_MODES.HYBRID]: 'AES-256 / X25519+ML-KEM'
+                        }[this.callManager.kemMode] || 'AES-256-PQC';
+                    }
                 }
             }
         };
@@ -368,6 +658,8 @@ class AESChatApp {
     }
 
     setupSocketEvents() {
+        this.socket.on('passphrase-required', (data) => this.showPassphraseModal(data));
+
         this.socket.on('room-joined', async (data) => {
             this.isConnected = true;
 
@@ -380,15 +672,30 @@ class AESChatApp {
             // Update page title
             document.title = `${data.roomName} | AES Chat`;
 
-            // Clear existing local state to prevent duplicates on reconnect
+            // Clear existing local state to prevent duplicates on reconnect.
+            // An incremental sync builds on the history already shown.
             this.members.clear();
-            this.messages = [];
-            const list = document.getElementById('messagesList');
-            if (list) list.innerHTML = '';
+            if (!data.incremental) {
+                this.messages = [];
+                const list = document.getElementById('messagesList');
+                if (list) list.innerHTML = '';
+            }
+
+            this.role = data.role || 'member';
+            this.roles = data.roles || [];
+            this.permissions = data.permissions || {};
+            this.applyRoomSettings(data.settings);
+            this.applyPermissions();
+            document.querySelector('.lobby-wait-popup')?.remove();
+            this.lobbyRequests = data.lobby || [];
+            this.bans = data.bans || [];
+            this.renderLobby();
+            this.renderBans();
 
             // Update members using persistent userId as key
             data.members.forEach(m => this.members.set(m.userId, m));
             this.updateMembersList();
+            this.refreshTrust();
 
             // --- CRITICAL: PRIORITY SECURITY HANDSHAKE ---
             // We must establish the key BEFORE rendering history messages to avoid decryption errors
@@ -396,13 +703,10 @@ class AESChatApp {
 
             // Load history messages (Now they should decrypt)
             data.messages.forEach(msg => this.addMessage(msg, false));
+            if (data.updated?.length) await this.applyMessageUpdates(data.updated);
+            this.syncedAt = data.syncedAt;
+            this.scheduleCacheSave();
             this.scrollToBottom();
-
-            // Update settings UI
-            const disappearingSetting = document.getElementById('disappearingSetting');
-            if (disappearingSetting && data.settings.disappearingMessages) {
-                disappearingSetting.value = data.settings.disappearingMessages;
-            }
         });
 
         this.socket.on('message', (msg) => {
@@ -419,11 +723,13 @@ class AESChatApp {
             // Use userId as key to prevent duplicates
             this.members.set(data.user.userId, data.user);
             this.updateMembersList();
+            this.refreshTrust();
         });
 
         this.socket.on('user-left', (data) => {
             this.members.delete(data.user.userId);
             this.updateMembersList();
+            this.refreshTrust();
         });
 
         // PQC Handshake Request
@@ -433,6 +739,39 @@ class AESChatApp {
             }
         });
 
+        // Key rotation: we hold the key and were picked to issue the next epoch
+        this.socket.on('rekey-required', async (data) => {
+            if (!this.handshakeManager) return;
+            if (await this.handshakeManager.handleRekeyRequired(data)) {
+                this.showToast(`Room key rotated (key #${this.keyEpoch})`, 'success');
+            }
+        });
+
+        this.socket.on('rekey-bundle', async (data) => {
+            if (!this.handshakeManager) return;
+            const key = await this.handshakeManager.handleRekeyBundle(data);
+            if (!key) return;
+            const result = await this.claimKey(data.epoch, key);
+            if (result.ok) {
+                this.showToast(`${data.userName || 'A member'} rotated the room key`, 'info');
+            }
+        });
+
+        this.socket.on('permission-denied', (data) => {
+            this.showToast(data.error || 'You are not allowed to do that', 'error');
+        });
+
+        this.socket.on('rekey-failed', (data) => {
+            this.showToast(data.reason || 'Could not rotate the room key', 'error');
+        });
+
+        // A holder of a newer epoch is online. If no rekey bundle reached us
+        // (e.g. we joined without a KEM key), ask for the new key by handshake.
+        this.socket.on('key-holder-online', (data) => {
+            if (!this.keyEpoch || data.epoch <= this.keyEpoch) return;
+            setTimeout(() => this.resyncRoomKey(data.epoch), 3000);
+        });
+
         this.socket.on('user-typing', (data) => {
             const indicator = document.getElementById('typingIndicator');
             if (indicator) indicator.textContent = `${data.userName} is typing`;
@@ -447,8 +786,15 @@ class AESChatApp {
             this.updateMessageReactions(data.messageId, data.reactions);
         });
 
-        this.socket.on('message-edited', (data) => {
-            this.updateMessageContent(data.messageId, data.newContent, true);
+        this.socket.on('message-edited', async (data) => {
+            const content = await this.decryptContent(data.newContent, data.isEncrypted, data.keyEpoch);
+            this.updateMessageContent(data.messageId, content, true);
+
+            const msg = this.messages.find(m => m.id === data.messageId);
+            if (msg && data.previous) {
+                msg.editHistory = [...(msg.editHistory || []), data.previous];
+            }
+            this.scheduleCacheSave();
         });
 
         this.socket.on('message-deleted', (data) => {
@@ -460,18 +806,83 @@ class AESChatApp {
         });
 
         this.socket.on('settings-updated', (settings) => {
-            const disappearingSetting = document.getElementById('disappearingSetting');
-            if (disappearingSetting && settings.disappearingMessages) {
-                disappearingSetting.value = settings.disappearingMessages;
-            }
+            this.applyRoomSettings(settings);
+            this.applyPermissions();
             this.showToast('Room settings updated', 'success');
         });
 
-        this.socket.on('kicked', () => {
-            alert('You have been removed from this room by the creator.');
+        // The server refused a settings change: put the controls back
+        this.socket.on('settings-rejected', (data) => {
+            this.applyRoomSettings(data.settings);
+            this.showToast(data.error || 'Invalid setting', 'error');
+        });
+
+        // A room policy (file sharing, voice messages) refused what we sent
+        this.socket.on('policy-rejected', (data) => {
+            this.showToast(data.error || 'Not allowed in this room', 'error');
+        });
+
+        this.socket.on('kicked', (data = {}) => {
+            alert(data.banned
+                ? 'You have been banned from this room.'
+                : 'You have been removed from this room by a moderator.');
             window.location.href = '/';
         });
 
+        this.socket.on('join-denied', (data = {}) => {
+            document.querySelector('.lobby-wait-popup')?.remove();
+            const roomName = data.roomName || 'this room';
+            alert(data.reason === 'banned' ? `You are banned from ${roomName}.`
+                : data.reason === 'full' ? `${roomName} is full.`
+                    : data.reason === 'identity' ? `Someone is already in ${roomName} under this user ID with a different identity key.`
+                        : `Your request to join ${roomName} was declined.`);
+            window.location.href = '/';
+        });
+
+        this.socket.on('lobby-waiting', (data) => this.showLobbyWaiting(data.roomName));
+
+        this.socket.on('lobby-updated', (data) => {
+            const known = new Set(this.lobbyRequests.map(r => r.socketId));
+            data.requests.filter(r => !known.has(r.socketId)).forEach(r => {
+                this.showToast(`${r.name} is asking to join`, 'info');
+            });
+            this.lobbyRequests = data.requests;
+            this.renderLobby();
+        });
+
+        this.socket.on('bans-updated', (data) => {
+            this.bans = data.bans;
+            this.renderBans();
+        });
+
+        this.socket.on('member-updated', (data) => {
+            if (!data.user) return;
+            this.members.set(data.user.userId, data.user);
+            // Roles are per device: ours is on this socket's entry, not the member's highest
+            const role = data.user.userId === this.userId &&
+                data.user.devices?.find(d => d.socketId === this.socket.id)?.role;
+            if (role && role !== this.role) {
+                this.role = role;
+                this.applyPermissions();
+                this.showToast(`You are now ${role === 'guest' ? 'a read-only guest' : `a ${role}`}`, 'info');
+            }
+            this.updateMembersList();
+        });
+
+        this.socket.on('device-revoked', (data) => this.handleDeviceRevoked(data));
+        this.socket.on('room-deleted', (data) => this.handleRoomDeleted(data));
+        // Deleted after this page loaded (or the server is still starting): the reload shows the 404 page
+        this.socket.on('room-not-found', () => window.location.reload());
+        this.socket.on('device-link-request', (data) => this.handleDeviceLinkRequest(data));
+        this.socket.on('device-link-key', (data) => this.handleDeviceLinkKey(data));
+        this.socket.on('device-link-reveal', (data) => this.handleDeviceLinkReveal(data));
+        this.socket.on('device-link-payload', (data) => this.handleDeviceLinkPayload(data));
+        this.socket.on('device-link-cancelled', () => {
+            if (!this.deviceLink) return;
+            this.deviceLink = null;
+            this.showToast('Device linking was cancelled', 'warning');
+        });
+
         this.socket.on('disconnect', () => {
             this.isConnected = false;
             // Show connection lost overlay
@@ -479,76 +890,318 @@ class AESChatApp {
             if (overlay) overlay.classList.remove('hidden');
         });
 
-        this.socket.on('connect', () => {
+        this.socket.on('connect', async () => {
             // Hide connection lost overlay
             const overlay = document.getElementById('connectionOverlay');
             if (overlay) overlay.classList.add('hidden');
 
-            if (this.currentUser && !this.isConnected) {
-                this.socket.emit('join-room', {
-                    roomId: this.roomId,
-                    userId: this.userId,
-                    userName: this.currentUser.name,
-                    userAvatar: this.currentUser.avatar
-                });
+            // Until setup finishes there are no identity or KEM keys to join with: joinRoom sends it then
+            if (this.joinReady && !this.isConnected) {
+                // The join is signed asynchronously: it must be sent before canvas-sync,
+                // which the server ignores until we are back in the room
+                await this.emitJoinRoom();
+                // Rejoined after a drop: converge the canvas and resend unacknowledged ops
+                if (this.whiteboard) this.whiteboard.handleReconnect();
             }
         });
     }
 
     async handleRoomJoin(data) {
-        this.handshakeManager = new HandshakeManager(this.socket, this);
-
-        // 1. Try to load existing key for this session (Refresh resilience)
-        const storageKey = `aes-key-${this.roomId}`;
-        const storedKey = sessionStorage.getItem(storageKey);
+        if (!this.identity) this.identity = await IdentityKeys.load();
+        const joinId = ++this.keyJoinId; // A reconnect supersedes any key search still running
+
+        // Passphrase rooms: everyone derives the same key, so no handshake is needed
+        if (this.passphrase) {
+            if (!this.keyring) this.keyring = new RoomKeyring(this.roomId);
+            const result = await this.claimKey(data.keyEpoch || 1, this.passphrase.key);
+            if (result.ok) return;
+            console.warn('[KEYS] Passphrase key does not match the room key');
+        }
 
-        if (storedKey) {
-            try {
-                this.roomKey = await window.AESEncryption.importKey(storedKey);
-                this.encryptionKey = this.roomKey;
+        // 1. Try the key this session already had (refresh / reconnect resilience)
+        if (!this.keyring) this.keyring = new RoomKeyring(this.roomId);
+        const restored = this.keyring.current
+            ? { epoch: this.keyring.epoch, key: this.keyring.current }
+            : await this.keyring.restore();
+
+        if (restored) {
+            // Keys from before epochs existed claim whatever the room is on
+            const epoch = restored.epoch || data.keyEpoch || 1;
+            const result = await this.claimKey(epoch, restored.key);
+            if (result.ok) {
                 this.showToast('Restored Secure Session', 'success');
-            } catch (e) {
-                console.error("Failed to restore key", e);
-                sessionStorage.removeItem(storageKey);
+                return;
+            }
+            this.encryptionKey = null;
+            if (result.epoch > epoch) {
+                // The key was rotated while we were away; older epochs still open history
+                console.warn(`[KEYS] Room moved on to key epoch ${result.epoch}. Re-syncing.`);
+                this.showToast('The room key was rotated. Re-syncing...', 'warning');
+            } else if (result.epoch !== 0) {
+                // Someone else's key is canonical for this epoch: ours is a fork
+                console.warn(`[KEYS] Stored key diverges from room epoch ${result.epoch}. Re-syncing.`);
+                this.showToast('Your room key is out of date. Re-syncing...', 'warning');
+                await this.keyring.forget(restored.epoch);
             }
         }
 
-        if (this.encryptionKey) {
-            // Already have key
-        } else {
-            // Handshake Logic
-            const amIAlone = data.members && data.members.length === 1;
-
-            if (amIAlone) {
-                this.roomKey = await window.AESEncryption.generateKey();
-                this.encryptionKey = this.roomKey;
-                this.isCreator = true;
-                this.showToast('Created new Quantum-Secure Room', 'success');
-
-                // Save
-                const k = await window.AESEncryption.exportKey(this.roomKey);
-                sessionStorage.setItem(storageKey, k);
-            } else {
-                try {
-                    this.showToast('Initiating Post-Quantum Handshake...', 'info');
-                    const result = await this.handshakeManager.initiateHandshake();
-                    this.encryptionKey = result.key;
-                    this.isCreator = result.isCreator;
-
-                    const k = await window.AESEncryption.exportKey(this.encryptionKey);
-                    sessionStorage.setItem(storageKey, k);
-
-                    if (this.isCreator) {
-                        this.showToast('No peers answered. Became Room Host.', 'warning');
-                    } else {
-                        this.showToast('Kyber-768 Handshake Successful', 'success');
+        // 2. A keyed invite link works without any member online
+        if (this.pendingInvite && await this.redeemInvite()) return;
+
+        // 3. Get the canonical key from a holder, or create epoch 1 if we hold the lease.
+        // History renders after the first attempt; a later key re-renders it.
+        await Promise.race([
+            this.acquireRoomKey(data.keyEpoch || 0, joinId),
+            new Promise(resolve => setTimeout(resolve, 6000))
+        ]);
+    }
+
+    /**
+     * Fetches the invite's wrapped key from the server and opens it with the link's secret
+     * @returns {Promise<boolean>} true if it gave us the current room key
+     */
+    async redeemInvite() {
+        const { token, secret } = this.pendingInvite;
+        this.pendingInvite = null; // Single attempt: uses are counted by the server
+
+        const result = await this.emitWithAck('redeem-invite', { token });
+        if (!result.ok) {
+            this.showToast(result.error, 'error');
+            return false;
+        }
+
+        try {
+            const key = await InviteLinks.open(this.roomId, token, secret, result.epoch, result.wrappedKey);
+            const claim = await this.claimKey(result.epoch, key);
+            if (claim.ok) {
+                this.showToast('Joined with invite key', 'success');
+                return true;
+            }
+            // The key was rotated since the invite was made: it still opens older history
+            await this.keyring.add(result.epoch, key);
+        } catch (err) {
+            console.error('[KEYS] Invite key could not be opened:', err);
+            this.showToast('This invite link is damaged', 'error');
+        }
+        return false;
+    }
+
+    /**
+     * A message names a newer epoch than ours: our key is stale, fetch the current one
+     */
+    resyncRoomKey(epoch) {
+        if (epoch <= this.keyEpoch || this.keyring?.get(epoch)) return;
+        console.warn(`[KEYS] Room is on key epoch ${epoch}, we hold ${this.keyEpoch}. Re-syncing.`);
+        this.encryptionKey = null;
+        this.acquireRoomKey(epoch, ++this.keyJoinId);
+    }
+
+    /**
+     * Deterministic key ownership: only the member holding the server's creation lease
+     * may create the first key. Everyone else waits for a holder of the current epoch,
+     * retrying with backoff, and never forks the room key.
+     */
+    async acquireRoomKey(epoch, joinId) {
+        let delay = 2000;
+        let notified = false;
+
+        while (joinId === this.keyJoinId && !this.encryptionKey) {
+            if (!epoch) {
+                const lease = await this.emitWithAck('key-lease');
+                if (joinId !== this.keyJoinId) return;
+                if (lease.granted) {
+                    const key = await window.AESEncryption.generateKey();
+                    const result = await this.claimKey(1, key);
+                    if (result.ok) {
+                        this.showToast('Created new Quantum-Secure Room', 'success');
+                        return;
+                    }
+                }
+                epoch = lease.epoch;
+            }
+
+            if (epoch) {
+                if (!notified) this.showToast('Initiating Post-Quantum Handshake...', 'info');
+                const result = await this.handshakeManager.initiateHandshake(epoch);
+                if (joinId !== this.keyJoinId) return;
+                if (result) {
+                    const claim = await this.claimKey(result.epoch, result.key);
+                    if (claim.ok) {
+                        if (result.mode === KEM_MODES.CLASSICAL) {
+                            this.showToast('Handshake complete (classical ECDH - not post-quantum)', 'warning');
+                        } else if (result.mode === KEM_MODES.HYBRID) {
+                            this.showToast('Hybrid X25519 + ML-KEM-768 Handshake Successful', 'success');
+                        } else {
+                            this.showToast('ML-KEM-768 Handshake Successful', 'success');
+                        }
+                        return;
                     }
-                } catch (e) {
-                    console.error(e);
-                    this.showToast('Handshake Failed. Messages unreadable.', 'error');
+                    epoch = claim.epoch; // The room moved on while we were asking
+                    continue;
                 }
             }
+
+            if (!notified) {
+                this.showToast(`Waiting for a member holding room key #${epoch || 1}...`, 'warning');
+                notified = true;
+            }
+            // Retry on backoff, or immediately when a holder comes online
+            const online = await this.waitForKeyHolder(delay);
+            if (online) epoch = online.epoch;
+            delay = Math.min(delay * 2, 30000);
+        }
+    }
+
+    /**
+     * Registers our key with the server. On success it becomes the active key.
+     * @returns {Promise<{ok: boolean, epoch: number}>}
+     */
+    async claimKey(epoch, key) {
+        const fingerprint = await RoomKeyring.fingerprint(this.roomId, epoch, key);
+        const result = await this.emitWithAck('key-claim', { epoch, fingerprint });
+        if (result.ok) {
+            await this.keyring.set(epoch, key);
+            this.keyEpoch = epoch;
+            this.roomKey = key;
+            this.encryptionKey = key;
+            if (this.whiteboard) this.whiteboard.setKey(key, [...this.keyring.keys.values()]);
+            this.redecryptMessages();
+            this.scheduleCacheSave();
+        }
+        return result;
+    }
+
+    /**
+     * Keeps the policy settings the crypto layer reads in sync with the server
+     */
+    applyRoomSettings(settings = {}) {
+        this.roomSettings = settings;
+        if (this.callManager) this.callManager.requirePQC = !!settings.requirePQC;
+        const disappearingSetting = document.getElementById('disappearingSetting');
+        if (disappearingSetting) disappearingSetting.value = settings.disappearingMessages || '';
+        const maxMembersSetting = document.getElementById('maxMembersSetting');
+        if (maxMembersSetting) maxMembersSetting.value = settings.maxMembers || '';
+        const fileSharingSetting = document.getElementById('fileSharingSetting');
+        if (fileSharingSetting) fileSharingSetting.checked = settings.allowFileSharing !== false;
+        const voiceMessagesSetting = document.getElementById('voiceMessagesSetting');
+        if (voiceMessagesSetting) voiceMessagesSetting.checked = settings.allowVoiceMessages !== false;
+        const requirePqcSetting = document.getElementById('requirePqcSetting');
+        if (requirePqcSetting) requirePqcSetting.checked = !!settings.requirePQC;
+        const defaultRoleSetting = document.getElementById('defaultRoleSetting');
+        if (defaultRoleSetting) defaultRoleSetting.value = settings.defaultRole || 'member';
+        const lobbySetting = document.getElementById('lobbySetting');
+        if (lobbySetting) lobbySetting.checked = !!settings.lobby;
+    }
+
+    /**
+     * @returns {boolean} Whether our role may do `action`. The server enforces the same table.
+     */
+    can(action) {
+        const needed = this.permissions[action];
+        return !needed || this.roles.indexOf(this.role) >= this.roles.indexOf(needed);
+    }
+
+    outranks(role) {
+        return this.roles.indexOf(this.role) > this.roles.indexOf(role || 'member');
+    }
+
+    /**
+     * Disables the controls our role can't use
+     */
+    applyPermissions() {
+        ['disappearingSetting', 'maxMembersSetting', 'fileSharingSetting', 'voiceMessagesSetting',
+            'requirePqcSetting', 'defaultRoleSetting', 'lobbySetting', 'rotateKeyBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = !this.can('settings');
+        });
+        const deleteRoomBtn = document.getElementById('deleteRoomBtn');
+        if (deleteRoomBtn) deleteRoomBtn.style.display = this.can('delete-room') ? '' : 'none';
+
+        const input = document.getElementById('messageInput');
+        if (input) {
+            input.disabled = !this.can('send');
+            input.placeholder = this.can('send') ? 'Type a message...' : 'Guests can read but not send messages';
         }
+        // Room policy applies on top of the role
+        const attachBtn = document.getElementById('attachBtn');
+        if (attachBtn) attachBtn.disabled = !this.can('upload') || this.roomSettings?.allowFileSharing === false;
+        const voiceBtn = document.getElementById('voiceBtn');
+        if (voiceBtn) voiceBtn.disabled = !this.can('voice') || this.roomSettings?.allowVoiceMessages === false;
+    }
+
+    setRole(userId, role) {
+        this.emitWithAck('set-role', { targetId: userId, role }).then(result => {
+            if (!result.ok) this.updateMembersList(); // Put the select back
+        });
+    }
+
+    waitForKeyHolder(timeout) {
+        return new Promise((resolve) => {
+            const onOnline = (data) => {
+                clearTimeout(timer);
+                resolve(data);
+            };
+            const timer = setTimeout(() => {
+                this.socket.off('key-holder-online', onOnline);
+                resolve(null);
+            }, timeout);
+            this.socket.once('key-holder-online', onOnline);
+        });
+    }
+
+    emitWithAck(event, data = {}) {
+        return new Promise(resolve => this.socket.emit(event, data, resolve));
+    }
+
+    /**
+     * Key for the epoch a ciphertext names; messages from before epochs use the current key
+     */
+    keyFor(epoch) {
+        return (epoch && this.keyring?.get(epoch)) || this.encryptionKey;
+    }
+
+    /**
+     * Edits, deletions and reactions on messages we already had, from an incremental sync
+     */
+    async applyMessageUpdates(updated) {
+        for (const m of updated) {
+            const msg = this.messages.find(x => x.id === m.id);
+            if (!msg) continue;
+            if (m.deleted) {
+                this.markMessageDeleted(m.id);
+            } else if (m.edited) {
+                const content = await this.decryptContent(m.content, m.isEncrypted, m.keyEpoch);
+                this.updateMessageContent(m.id, content, true);
+                msg.editHistory = m.editHistory;
+            }
+            this.updateMessageReactions(m.id, m.reactions || {});
+        }
+    }
+
+    /**
+     * History rendered before the key arrived shows placeholders: render it again
+     */
+    async redecryptMessages() {
+        if (!this.messages.some(m => m.raw)) return;
+        const list = document.getElementById('messagesList');
+        if (list) list.innerHTML = '';
+        const messages = this.messages;
+        this.messages = [];
+        for (const m of messages) await this.addMessage(m.raw || m, false);
+    }
+
+    /**
+     * A known member's identity key changed (new device, reinstall - or an impostor).
+     * @returns {boolean} true if the user accepts the new key
+     */
+    confirmIdentityChange(userName, oldFingerprint, newFingerprint) {
+        this.showToast(`Security key for ${userName || 'a member'} changed`, 'warning');
+        return confirm(
+            `The identity key for ${userName || 'this member'} has changed.\n\n` +
+            `Previous: ${oldFingerprint}\nNew:      ${newFingerprint}\n\n` +
+            'This happens when they switch devices or clear their browser data, but it can also mean ' +
+            'someone is impersonating them. Accept the new key?'
+        );
     }
 
     initUIEvents() {
@@ -605,6 +1258,17 @@ class AESChatApp {
         const copyLinkBtn = document.getElementById('copyLinkBtn');
         if (copyLinkBtn) copyLinkBtn.addEventListener('click', () => this.copyInviteLink());
 
+        const rotateKeyBtn = document.getElementById('rotateKeyBtn');
+        if (rotateKeyBtn) rotateKeyBtn.addEventListener('click', () => this.rotateRoomKey());
+        const deleteRoomBtn = document.getElementById('deleteRoomBtn');
+        if (deleteRoomBtn) deleteRoomBtn.addEventListener('click', () => this.deleteRoom());
+        const offlineCacheBtn = document.getElementById('offlineCacheBtn');
+        if (offlineCacheBtn) offlineCacheBtn.addEventListener('click', () => this.enableOfflineCache());
+        const linkDeviceBtn = document.getElementById('linkDeviceBtn');
+        if (linkDeviceBtn) linkDeviceBtn.addEventListener('click', () => this.showDeviceLink());
+        const wipeLocalDataBtn = document.getElementById('wipeLocalDataBtn');
+        if (wipeLocalDataBtn) wipeLocalDataBtn.addEventListener('click', () => this.wipeLocalData());
+
         // Settings
         const disappearingSetting = document.getElementById('disappearingSetting');
         if (disappearingSetting) {
@@ -617,6 +1281,60 @@ class AESChatApp {
             });
         }
 
+        const maxMembersSetting = document.getElementById('maxMembersSetting');
+        if (maxMembersSetting) {
+            maxMembersSetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { maxMembers: parseInt(e.target.value, 10) });
+                }
+            });
+        }
+
+        const fileSharingSetting = document.getElementById('fileSharingSetting');
+        if (fileSharingSetting) {
+            fileSharingSetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { allowFileSharing: e.target.checked });
+                }
+            });
+        }
+
+        const voiceMessagesSetting = document.getElementById('voiceMessagesSetting');
+        if (voiceMessagesSetting) {
+            voiceMessagesSetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { allowVoiceMessages: e.target.checked });
+                }
+            });
+        }
+
+        const requirePqcSetting = document.getElementById('requirePqcSetting');
+        if (requirePqcSetting) {
+            requirePqcSetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { requirePQC: e.target.checked });
+                }
+            });
+        }
+
+        const defaultRoleSetting = document.getElementById('defaultRoleSetting');
+        if (defaultRoleSetting) {
+            defaultRoleSetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { defaultRole: e.target.value });
+                }
+            });
+        }
+
+        const lobbySetting = document.getElementById('lobbySetting');
+        if (lobbySetting) {
+            lobbySetting.addEventListener('change', (e) => {
+                if (this.socket) {
+                    this.socket.emit('update-settings', { lobby: e.target.checked });
+                }
+            });
+        }
+
         // Search
         const searchBtn = document.getElementById('searchBtn');
         const closeSearch = document.getElementById('closeSearch');
@@ -701,7 +1419,8 @@ class AESChatApp {
                 userId: this.userId, // Include persistent ID
                 type: 'text',
                 replyTo: this.replyingTo,
-                isEncrypted: true
+                isEncrypted: true,
+                keyEpoch: this.keyEpoch
             });
 
             input.value = '';
@@ -726,18 +1445,30 @@ class AESChatApp {
             return;
         }
 
+        // Keep the ciphertext if we can't open it yet, so it can be re-rendered once the key arrives
+        const key = this.keyFor(msg.keyEpoch);
+        // (`decrypted` marks content that is already plaintext: cached or re-rendered messages)
+        if (msg.isEncrypted && !msg.decrypted && (!key || (msg.keyEpoch && !this.keyring?.get(msg.keyEpoch)))) {
+            msg.raw = { ...msg };
+        }
+        if (msg.keyEpoch > this.keyEpoch && this.keyEpoch) this.resyncRoomKey(msg.keyEpoch);
+
         // PQC Decryption
-        if (msg.type === 'text' && msg.isEncrypted && msg.type !== 'system') {
-            try {
-                if (this.encryptionKey) {
-                    msg.content = await window.AESEncryption.decrypt(msg.content, this.encryptionKey);
-                } else {
-                    msg.content = '🔒 Encrypted (Key Missing)';
-                }
-            } catch (e) {
-                console.error(e);
-                msg.content = '⚠️ Decryption Failed';
-            }
+        if (['text', 'file', 'image'].includes(msg.type) && msg.isEncrypted && !msg.decrypted) {
+            msg.content = await this.decryptContent(msg.content, true, msg.keyEpoch);
+            if (!msg.raw) msg.decrypted = true;
+        }
+
+        // Encrypted attachments: unwrap name/type/key with the room key
+        if (msg.fileData?.encryption && !msg.fileData.meta) {
+            const meta = await FileCipher.unwrapMeta(msg.fileData.encryption, key);
+            msg.fileData = {
+                ...msg.fileData,
+                meta,
+                originalName: meta ? meta.name : '🔒 Encrypted file',
+                mimetype: meta ? meta.mimetype : null,
+                size: meta ? meta.size : msg.fileData.size
+            };
         }
 
         const isOwn = msg.userId === this.userId;
@@ -763,9 +1494,12 @@ class AESChatApp {
             }
 
             if (msg.type === 'voice' && msg.fileData) {
-                bodyContent += this.renderVoiceMessage(msg.fileData);
+                bodyContent += this.renderVoiceMessage(msg.fileData, msg.id);
             } else if (msg.type === 'file' && msg.fileData) {
-                bodyContent += this.renderFileMessage(msg.fileData);
+                bodyContent += this.renderFileMessage(msg.fileData, msg.id);
+            } else if (msg.type === 'image' && msg.fileData?.encryption) {
+                // src is filled in once the blob has been downloaded and decrypted
+                bodyContent += `<div class="image-message"><img alt="${msg.fileData.meta ? 'Decrypting image...' : '🔒 Encrypted image'}" onclick="window.open(this.src)"></div>`;
             } else if (msg.type === 'image' && msg.fileData) {
                 bodyContent += `<div class="image-message"><img src="${msg.fileData.url}" alt="Image" onclick="window.open(this.src)"></div>`;
             } else {
@@ -780,6 +1514,7 @@ class AESChatApp {
                         <span class="sender-name">${this.escapeHtml(msg.senderName)}</span>
                         <span class="message-time">${time}</span>
                         ${msg.edited ? '<span class="edited-badge">(edited)</span>' : ''}
+                        ${msg.isEncrypted && msg.keyEpoch ? `<span class="epoch-badge ${msg.keyEpoch !== this.keyEpoch ? 'stale' : ''}" title="Encrypted with room key #${msg.keyEpoch}">#${msg.keyEpoch}</span>` : ''}
                     </div>
                     <div class="message-body ${msg.deleted ? 'deleted' : ''}">${bodyContent}</div>
                     ${reactionsHtml}
@@ -789,12 +1524,14 @@ class AESChatApp {
 
         list.appendChild(messageEl);
         this.messages.push(msg);
+        this.scheduleCacheSave();
 
         // Handle image loading scroll
         if (msg.type === 'image') {
             const img = messageEl.querySelector('img');
             if (img) {
                 img.onload = () => this.scrollToBottom();
+                if (msg.fileData?.meta) this.loadEncryptedImage(img, msg.fileData);
             }
         }
 
@@ -803,10 +1540,24 @@ class AESChatApp {
         }
     }
 
-    renderVoiceMessage(fileData) {
+    async decryptContent(content, isEncrypted, keyEpoch) {
+        if (!isEncrypted) return content;
+        try {
+            const key = this.keyFor(keyEpoch);
+            if (key) {
+                return await window.AESEncryption.decrypt(content, key);
+            }
+            return '🔒 Encrypted (Key Missing)';
+        } catch (e) {
+            console.error(e);
+            return '⚠️ Decryption Failed';
+        }
+    }
+
+    renderVoiceMessage(fileData, messageId) {
         return `
             <div class="voice-message">
-                <button class="voice-play-btn" onclick="chatApp.playVoice(this, '${fileData.audioData}')">▶</button>
+                <button class="voice-play-btn" onclick="chatApp.playVoice(this, '${messageId}')">▶</button>
                 <div class="voice-waveform">${this.renderWaveformBars(fileData.waveform || [])}</div>
                 <span class="voice-duration">${this.formatDuration(fileData.duration)}</span>
             </div>
@@ -820,8 +1571,11 @@ class AESChatApp {
         return waveform.map(h => `<div class="waveform-bar" style="height: ${h}px"></div>`).join('');
     }
 
-    renderFileMessage(fileData) {
+    renderFileMessage(fileData, messageId) {
         const icon = this.getFileIcon(fileData.mimetype);
+        const link = fileData.encryption
+            ? `href="#" onclick="chatApp.downloadEncryptedFile(event, '${messageId}')"`
+            : `href="${fileData.url}" download`;
         return `
             <div class="file-message">
                 <span class="file-icon">${icon}</span>
@@ -829,7 +1583,7 @@ class AESChatApp {
                     <div class="file-name">${this.escapeHtml(fileData.originalName)}</div>
                     <div class="file-size">${this.formatFileSize(fileData.size)}</div>
                 </div>
-                <a href="${fileData.url}" download class="file-download">
+                <a ${link} class="file-download">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                         <polyline points="7 10 12 15 17 10"/>
@@ -840,6 +1594,39 @@ class AESChatApp {
         `;
     }
 
+    async loadEncryptedImage(img, fileData) {
+        try {
+            const blob = await FileCipher.decryptFile(fileData.url, fileData.meta);
+            img.src = URL.createObjectURL(blob);
+            img.alt = fileData.meta.name;
+        } catch (err) {
+            console.error('Image decryption failed:', err);
+            img.alt = '⚠️ Decryption Failed';
+        }
+    }
+
+    async downloadEncryptedFile(e, messageId) {
+        e.preventDefault();
+        const msg = this.messages.find(m => m.id === messageId);
+        if (!msg?.fileData?.meta) {
+            this.showToast('Unable to decrypt this file', 'error');
+            return;
+        }
+
+        try {
+            const blob = await FileCipher.decryptFile(msg.fileData.url, msg.fileData.meta);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = msg.fileData.meta.name;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (err) {
+            console.error('File decryption failed:', err);
+            this.showToast('File integrity check failed', 'error');
+        }
+    }
+
     renderReactions(reactions, messageId) {
         if (!reactions || !Object.keys(reactions).length) return '';
 
@@ -857,6 +1644,12 @@ class AESChatApp {
     }
 
     updateMessageReactions(messageId, reactions) {
+        const msg = this.messages.find(m => m.id === messageId);
+        if (msg) {
+            msg.reactions = reactions;
+            this.scheduleCacheSave();
+        }
+
         const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
         if (!messageEl) return;
 
@@ -881,9 +1674,11 @@ class AESChatApp {
         const isOwn = msg.senderId === this.socket?.id;
         const editBtn = menu.querySelector('[data-action="edit"]');
         const deleteBtn = menu.querySelector('[data-action="delete"]');
+        const historyBtn = menu.querySelector('[data-action="history"]');
 
         if (editBtn) editBtn.style.display = isOwn ? 'flex' : 'none';
         if (deleteBtn) deleteBtn.style.display = isOwn ? 'flex' : 'none';
+        if (historyBtn) historyBtn.style.display = msg.editHistory?.length ? 'flex' : 'none';
 
         menu.style.left = `${e.clientX}px`;
         menu.style.top = `${e.clientY}px`;
@@ -913,6 +1708,9 @@ class AESChatApp {
             case 'edit':
                 this.editMessage(msg);
                 break;
+            case 'history':
+                this.showEditHistory(msg);
+                break;
             case 'delete':
                 if (confirm('Delete this message?')) {
                     if (this.socket) this.socket.emit('delete-message', { messageId: msg.id });
@@ -962,11 +1760,59 @@ class AESChatApp {
         setTimeout(() => popup.remove(), 5000);
     }
 
-    editMessage(msg) {
+    async editMessage(msg) {
         const newContent = prompt('Edit message:', msg.content);
-        if (newContent && newContent !== msg.content && this.socket) {
-            this.socket.emit('edit-message', { messageId: msg.id, newContent });
+        if (!newContent || newContent === msg.content || !this.socket) return;
+
+        if (!this.encryptionKey) {
+            this.showToast('Encryption Key not ready. Waiting for Handshake...', 'warning');
+            return;
         }
+
+        try {
+            const encryptedContent = await window.AESEncryption.encrypt(newContent, this.encryptionKey);
+            this.socket.emit('edit-message', {
+                messageId: msg.id,
+                newContent: encryptedContent,
+                isEncrypted: true,
+                keyEpoch: this.keyEpoch
+            });
+        } catch (error) {
+            console.error('Edit failed:', error);
+            this.showToast('Encryption failed', 'error');
+        }
+    }
+
+    async showEditHistory(msg) {
+        const versions = await Promise.all((msg.editHistory || []).map(async (v) => ({
+            content: await this.decryptContent(v.content, v.isEncrypted, v.keyEpoch),
+            editedAt: v.editedAt
+        })));
+
+        document.querySelector('.edit-history-popup')?.remove();
+
+        const popup = document.createElement('div');
+        popup.className = 'edit-history-popup';
+        popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); width: min(420px, 90vw); max-height: 60vh; overflow-y: auto; background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 16px; padding: 16px; z-index: 9999; box-shadow: var(--shadow-lg); backdrop-filter: blur(10px);';
+
+        popup.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <strong>Edit History</strong>
+                <button class="icon-btn" style="background: none; border: none; cursor: pointer; color: inherit;">✕</button>
+            </div>
+            ${versions.map(v => `
+                <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                    <div class="message-time">${this.formatTime(v.editedAt)}</div>
+                    <div class="message-text">${this.formatMessageText(v.content)}</div>
+                </div>
+            `).join('')}
+            <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                <div class="message-time">Current</div>
+                <div class="message-text">${this.formatMessageText(msg.content)}</div>
+            </div>
+        `;
+        popup.querySelector('button').onclick = () => popup.remove();
+        document.body.appendChild(popup);
     }
 
     updateMessageContent(messageId, newContent, edited) {
@@ -986,7 +1832,11 @@ class AESChatApp {
         }
 
         const msg = this.messages.find(m => m.id === messageId);
-        if (msg) msg.content = newContent;
+        if (msg) {
+            msg.content = newContent;
+            if (edited) msg.edited = true;
+            this.scheduleCacheSave();
+        }
     }
 
     markMessageDeleted(messageId) {
@@ -1003,6 +1853,7 @@ class AESChatApp {
         if (msg) {
             msg.deleted = true;
             msg.content = 'This message was deleted';
+            this.scheduleCacheSave();
         }
     }
 
@@ -1085,21 +1936,34 @@ class AESChatApp {
     sendVoiceMessage() {
         if (!this.mediaRecorder || !this.isRecording) return;
 
+        if (!this.encryptionKey) {
+            this.showToast('Encryption Key not ready. Waiting for Handshake...', 'warning');
+            this.cancelRecording();
+            return;
+        }
+
         // Define what happens when it stops
         this.mediaRecorder.onstop = () => {
             const duration = (Date.now() - this.recordingStartTime) / 1000;
             const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
 
-            // Convert to Base64
+            // Convert to Base64, then seal with the room key so the relay can't play it back
             const reader = new FileReader();
-            reader.onload = () => {
-                if (this.socket) {
+            reader.onload = async () => {
+                if (!this.socket) return;
+                try {
+                    const audioData = await window.AESEncryption.encrypt(reader.result, this.encryptionKey);
                     this.socket.emit('voice-message', {
                         userId: this.userId,
-                        audioData: reader.result,
+                        audioData,
+                        isEncrypted: true,
+                        keyEpoch: this.keyEpoch,
                         duration: duration,
                         waveform: this.generateRandomWaveform()
                     });
+                } catch (error) {
+                    console.error('Voice encryption failed:', error);
+                    this.showToast('Encryption failed', 'error');
                 }
             };
             reader.readAsDataURL(audioBlob);
@@ -1136,8 +2000,22 @@ class AESChatApp {
         return Array(20).fill(0).map(() => Math.floor(Math.random() * 25 + 5));
     }
 
-    playVoice(btn, audioData) {
-        const audio = new Audio(audioData);
+    async playVoice(btn, messageId) {
+        const msg = this.messages.find(m => m.id === messageId);
+        if (!msg?.fileData) return;
+
+        // Decrypt lazily on first play. Kept off the message object, which the offline cache saves.
+        let audioSrc = this.voiceAudio.get(messageId);
+        if (!audioSrc) {
+            audioSrc = await this.decryptContent(msg.fileData.audioData, msg.isEncrypted, msg.keyEpoch);
+            if (!audioSrc.startsWith('data:audio/')) {
+                this.showToast('Unable to decrypt voice message', 'error');
+                return;
+            }
+            this.voiceAudio.set(messageId, audioSrc);
+        }
+
+        const audio = new Audio(audioSrc);
         btn.textContent = '⏸';
         audio.play();
         audio.onended = () => btn.textContent = '▶';
@@ -1148,32 +2026,22 @@ class AESChatApp {
         const files = e.target.files;
         if (!files.length) return;
 
-        for (const file of files) {
-            const formData = new FormData();
-            formData.append('file', file);
+        if (!this.encryptionKey) {
+            this.showToast('Encryption Key not ready. Waiting for Handshake...', 'warning');
+            e.target.value = '';
+            return;
+        }
+        if (this.roomSettings?.allowFileSharing === false) {
+            this.showToast('File sharing is turned off in this room', 'error');
+            e.target.value = '';
+            return;
+        }
 
+        for (const file of files) {
             try {
-                const response = await fetch('/api/upload', {
-                    method: 'POST',
-                    body: formData
-                });
-                const data = await response.json();
-
-                if (data.success && this.socket) {
-                    const type = file.type.startsWith('image/') ? 'image' : 'file';
-                    this.socket.emit('send-message', {
-                        userId: this.userId,
-                        content: file.name,
-                        type: type,
-                        fileData: {
-                            url: data.url,
-                            originalName: data.originalName,
-                            size: data.size,
-                            mimetype: data.mimetype
-                        }
-                    });
-                }
+                await this.uploadEncryptedFile(file);
             } catch (err) {
+                console.error('Upload failed:', err);
                 this.showToast('Failed to upload file', 'error');
             }
         }
@@ -1181,6 +2049,42 @@ class AESChatApp {
         e.target.value = '';
     }
 
+    async uploadEncryptedFile(file) {
+        if (!this.encryptionKey || !this.socket) throw new Error('Encryption Key not ready');
+
+        // Seal in the browser; the server only ever stores ciphertext
+        const { blob, encryption } = await FileCipher.encryptFile(file, this.encryptionKey);
+
+        const grant = await this.emitWithAck('upload-token');
+        if (!grant.ok) throw new Error(grant.error);
+
+        // The token goes first: the server checks it before accepting the file
+        const formData = new FormData();
+        formData.append('uploadToken', grant.token);
+        formData.append('file', blob, 'encrypted.bin');
+
+        const response = await fetch('/api/upload', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Upload rejected');
+
+        const type = file.type.startsWith('image/') ? 'image' : 'file';
+        this.socket.emit('send-message', {
+            userId: this.userId,
+            content: await window.AESEncryption.encrypt(file.name, this.encryptionKey),
+            type: type,
+            isEncrypted: true,
+            keyEpoch: this.keyEpoch,
+            fileData: {
+                url: data.url,
+                size: data.size,
+                encryption
+            }
+        });
+    }
+
     // Search
     searchMessages(query) {
         const messages = document.querySelectorAll('.message');
@@ -1193,6 +2097,121 @@ class AESChatApp {
     }
 
     // Members List
+    /**
+     * Checks every member's published identity key against the TOFU store
+     */
+    async refreshTrust() {
+        const trust = new Map();
+        for (const [userId, member] of this.members) {
+            if (userId === this.userId || !member.identityKey) continue;
+            try {
+                const { status, record } = await TrustStore.check(userId, member.identityKey);
+                trust.set(userId, { status, verified: status !== 'changed' && !!record.verified, fingerprint: record.fingerprint });
+            } catch (e) {
+                console.error('[ID] Trust check failed:', e);
+            }
+        }
+        this.trust = trust;
+        this.updateMembersList();
+        this.updateSecurityBanner();
+    }
+
+    updateSecurityBanner() {
+        const banner = document.getElementById('securityBanner');
+        const text = document.getElementById('securityBannerText');
+        if (!banner || !text) return;
+
+        const name = (userId) => this.members.get(userId)?.name || 'A member';
+        const changed = [...this.trust].filter(([, t]) => t.status === 'changed').map(([id]) => name(id));
+        const unverified = [...this.trust].filter(([, t]) => t.status !== 'changed' && !t.verified);
+        const dismissed = sessionStorage.getItem(`aes-verify-dismissed-${this.roomId}`);
+
+        if (changed.length) {
+            // Never dismissible: this is the case TOFU exists to catch
+            text.textContent = `Security key changed for ${changed.join(', ')}. Verify before sharing anything sensitive.`;
+            banner.classList.add('danger');
+            document.getElementById('securityBannerClose')?.classList.add('hidden');
+        } else if (unverified.length && !dismissed) {
+            text.textContent = `${unverified.length} member${unverified.length > 1 ? 's are' : ' is'} not verified.`;
+            banner.classList.remove('danger');
+            document.getElementById('securityBannerClose')?.classList.remove('hidden');
+        } else {
+            banner.classList.add('hidden');
+            return;
+        }
+        banner.classList.remove('hidden');
+    }
+
+    dismissSecurityBanner() {
+        sessionStorage.setItem(`aes-verify-dismissed-${this.roomId}`, '1');
+        this.updateSecurityBanner();
+    }
+
+    async showVerification() {
+        document.querySelector('.verification-popup')?.remove();
+
+        const room = this.encryptionKey ? await SafetyNumbers.forRoom(this.roomId, this.encryptionKey) : null;
+        const mine = this.identity ? await SafetyNumbers.forIdentity(this.identity.publicKey) : null;
+        const rows = await Promise.all([...this.members]
+            .filter(([userId, m]) => userId !== this.userId && m.identityKey)
+            .map(async ([userId, m]) => ({ userId, member: m, code: await SafetyNumbers.forIdentity(m.identityKey), trust: this.trust.get(userId) })));
+
+        const popup = document.createElement('div');
+        popup.className = 'verification-popup';
+        popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); width: min(480px, 92vw); max-height: 75vh; overflow-y: auto; background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 16px; padding: 16px; z-index: 9999; box-shadow: var(--shadow-lg); backdrop-filter: blur(10px);';
+
+        const codeBlock = (code) => `
+            <div style="font-size: 20px; letter-spacing: 2px; margin: 4px 0;">${code.emoji}</div>
+            <div class="message-time" style="font-family: monospace;">${code.digits}</div>`;
+
+        popup.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <strong>Verify Members</strong>
+                <button class="icon-btn close-verification" style="background: none; border: none; cursor: pointer; color: inherit;">✕</button>
+            </div>
+            <div style="padding: 8px 0;">
+                <div class="message-time">Room safety number - everyone holding the same key sees the same code</div>
+                ${room ? codeBlock(room) : '<div class="message-time">Waiting for the room key...</div>'}
+            </div>
+            ${mine ? `
+            <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                <div class="message-time">Your code - read it to the others</div>
+                ${codeBlock(mine)}
+            </div>` : ''}
+            ${rows.length ? rows.map(({ userId, member, code, trust }) => `
+                <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                        <strong>${this.escapeHtml(member.name)}</strong>
+                        ${trust?.status === 'changed'
+                            ? `<button class="btn-secondary" data-accept="${this.escapeHtml(userId)}">Accept new key</button>`
+                            : `<button class="btn-secondary" data-verify="${this.escapeHtml(userId)}">${trust?.verified ? 'Unverify' : 'Mark verified'}</button>`}
+                    </div>
+                    ${trust?.status === 'changed' ? '<div class="message-time" style="color: var(--error);">Security key changed since you last saw this member</div>' : ''}
+                    ${codeBlock(code)}
+                </div>
+            `).join('') : '<div class="message-time" style="padding: 8px 0; border-top: 1px solid var(--border-color);">No other members have published an identity key yet.</div>'}
+        `;
+
+        popup.querySelector('.close-verification').onclick = () => popup.remove();
+        popup.querySelectorAll('[data-verify]').forEach(btn => {
+            btn.onclick = async () => {
+                const userId = btn.dataset.verify;
+                await TrustStore.setVerified(userId, !this.trust.get(userId)?.verified);
+                await this.refreshTrust();
+                this.showVerification();
+            };
+        });
+        popup.querySelectorAll('[data-accept]').forEach(btn => {
+            btn.onclick = async () => {
+                const userId = btn.dataset.accept;
+                await TrustStore.accept(userId, this.members.get(userId).identityKey);
+                await this.refreshTrust();
+                this.showVerification();
+            };
+        });
+        document.body.appendChild(popup);
+    }
+
     updateMembersList() {
         const list = document.getElementById('membersList');
         const count = document.getElementById('memberCount');
@@ -1205,34 +2224,474 @@ class AESChatApp {
         this.members.forEach((member, id) => {
             const isOnline = member.isOnline !== false;
             const isMe = id === this.userId;
-            const canKick = this.isCreator && !isMe;
+            const role = member.role || 'member';
+            const canKick = !isMe && this.can('kick') && this.outranks(role);
+            const canManage = !isMe && this.can('manage-roles') && this.outranks(role);
+            const canBan = !isMe && this.can('ban') && this.outranks(role);
+            const trust = this.trust.get(id);
+            let badge = '';
+            if (trust?.status === 'changed') {
+                badge = '<i class="fas fa-exclamation-triangle member-key-changed" title="Security key changed"></i>';
+            } else if (trust?.verified) {
+                badge = '<i class="fas fa-check-circle member-verified" title="Verified"></i>';
+            }
 
-            list.innerHTML += `
-                <li class="member-item" data-user-id="${id}">
+            // Devices: everyone sees a member's device list; only our own can be revoked
+            const devices = member.devices || [];
+            const deviceList = devices.length > 1 || isMe ? `
+                <div class="member-devices">
+                    ${devices.map((d, i) => `
+                        <div class="member-device">
+                            <i class="fas fa-${/Android|iOS/.test(d.deviceName) ? 'mobile-alt' : 'desktop'}"></i>
+                            <span>${this.escapeHtml(d.deviceName || 'Unknown device')}${isMe && d.socketId === this.socket.id ? ' (this device)' : ''}</span>
+                            ${isMe && d.socketId !== this.socket.id ? `<button data-device="${i}" class="device-revoke-btn" title="Revoke device">✕</button>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '';
+
+            // Roles: a badge for everyone but plain members; a picker for roles below ours
+            const roleBadge = role !== 'member' ? `<span class="role-badge role-${role}">${role}</span>` : '';
+            const rolePicker = canManage ? `
+                <select class="role-select" title="Change role">
+                    ${['guest', 'member', 'moderator'].filter(r => this.outranks(r)).map(r => `<option value="${r}" ${r === role ? 'selected' : ''}>${r}</option>`).join('')}
+                </select>
+            ` : '';
+
+            // userIds and names are chosen by clients: handlers get them from closures, never from markup
+            const item = document.createElement('li');
+            item.className = 'member-item';
+            item.dataset.userId = id;
+            item.innerHTML = `
                     <div class="member-avatar" style="background: ${member.color}">${this.getInitials(member.name)}</div>
                     <div class="member-info">
-                        <div class="member-name">${this.escapeHtml(member.name)}${isMe ? ' (You)' : ''}</div>
+                        <div class="member-name">${this.escapeHtml(member.name)}${isMe ? ' (You)' : ''}${badge}${roleBadge}</div>
+                        ${deviceList}
                     </div>
-                    ${canKick ? `<button onclick="chatApp.kickMember('${id}', '${this.escapeHtml(member.name)}')" class="kick-btn" title="Remove User">✕</button>` : ''}
+                    ${rolePicker}
+                    ${canBan ? '<button data-action="ban" class="kick-btn" title="Ban User"><i class="fas fa-ban"></i></button>' : ''}
+                    ${canKick ? '<button data-action="kick" class="kick-btn" title="Remove User">✕</button>' : ''}
                     <div class="member-status ${isOnline ? '' : 'offline'}"></div>
-                </li>
             `;
+            item.querySelector('.role-select')?.addEventListener('change', (e) => this.setRole(id, e.target.value));
+            item.querySelector('[data-action="ban"]')?.addEventListener('click', () => this.banMember(id));
+            item.querySelector('[data-action="kick"]')?.addEventListener('click', () => this.kickMember(id, member.name));
+            item.querySelectorAll('.device-revoke-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.revokeDevice(devices[btn.dataset.device].socketId));
+            });
+            list.appendChild(item);
         });
     }
 
-    // Copy Invite Link
+    // Invite links: a plain link (joiners get the key by handshake), or a keyed one
     copyInviteLink() {
-        const link = window.location.href;
-        navigator.clipboard.writeText(link).then(() => {
-            this.showToast('Invite link copied!', 'success');
+        document.querySelector('.invite-popup')?.remove();
+
+        const popup = document.createElement('div');
+        popup.className = 'invite-popup';
+        popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); width: min(420px, 90vw); background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 16px; padding: 16px; z-index: 9999; box-shadow: var(--shadow-lg); backdrop-filter: blur(10px);';
+
+        popup.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <strong>Invite Link</strong>
+                <button class="icon-btn close-invite" style="background: none; border: none; cursor: pointer; color: inherit;">✕</button>
+            </div>
+            <div style="padding: 8px 0;">
+                <div class="message-time">Plain link - the joiner gets the key from a member who is online</div>
+                <button class="btn-secondary copy-plain" style="margin-top: 8px;">Copy link</button>
+            </div>
+            <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                <div class="message-time">Keyed link - works with nobody online. Anyone holding it can read the room until it expires.</div>
+                <div style="display: flex; gap: 8px; align-items: center; margin-top: 8px;">
+                    <select class="invite-ttl">
+                        <option value="3600000">Expires in 1 hour</option>
+                        <option value="86400000" selected>Expires in 1 day</option>
+                        <option value="604800000">Expires in 1 week</option>
+                    </select>
+                    <label class="message-time"><input type="checkbox" class="invite-once" checked> One-time</label>
+                </div>
+                <button class="btn-secondary copy-keyed" style="margin-top: 8px;" ${this.encryptionKey ? '' : 'disabled'}>Create &amp; copy keyed link</button>
+            </div>
+        `;
+
+        popup.querySelector('.close-invite').onclick = () => popup.remove();
+        popup.querySelector('.copy-plain').onclick = () => {
+            navigator.clipboard.writeText(`${window.location.origin}/room/${this.roomId}`).then(() => {
+                this.showToast('Invite link copied!', 'success');
+                popup.remove();
+            });
+        };
+        popup.querySelector('.copy-keyed').onclick = async () => {
+            const link = await this.createKeyedInvite(
+                parseInt(popup.querySelector('.invite-ttl').value),
+                popup.querySelector('.invite-once').checked
+            );
+            if (!link) return;
+            await navigator.clipboard.writeText(link);
+            this.showToast('Keyed invite link copied!', 'success');
+            popup.remove();
+        };
+        document.body.appendChild(popup);
+    }
+
+    /**
+     * @returns {Promise<string|null>} The link, or null if the server refused it
+     */
+    async createKeyedInvite(ttl, oneTime) {
+        if (!this.encryptionKey) return null;
+        const epoch = this.keyEpoch;
+        const invite = await InviteLinks.create(this.roomId, epoch, this.encryptionKey);
+        const result = await this.emitWithAck('create-invite', {
+            token: invite.token,
+            epoch,
+            wrappedKey: invite.wrappedKey,
+            ttl,
+            oneTime
         });
+        if (!result.ok) {
+            this.showToast(result.error, 'error');
+            return null;
+        }
+        return InviteLinks.link(this.roomId, invite.token, invite.secret);
+    }
+
+    /**
+     * Creator only (checked by the server): issue a new room key to everyone present
+     */
+    rotateRoomKey() {
+        if (!this.socket || !this.encryptionKey) return;
+        if (confirm('Rotate the room key? Everyone in the room receives the new key; anyone who left cannot read new messages.')) {
+            this.socket.emit('rotate-key');
+        }
+    }
+
+    async createNewRoom() {
+        if (!confirm('Create a new secure room? This will disconnect you from the current session.')) return;
+        const userName = this.currentUser?.name;
+        try {
+            const response = await fetch('/api/rooms', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ creatorName: userName })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Room not created');
+
+            if (userName) sessionStorage.setItem('aes-joining-name', userName);
+            localStorage.setItem(`aes-owner-${data.roomId}`, data.ownerToken);
+            window.location.href = `/room/${data.roomId}`;
+        } catch (error) {
+            console.error('Error creating room:', error);
+            this.showToast('Failed to create room. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Owner only: deletes the room for everyone, with its messages and files
+     */
+    async deleteRoom() {
+        if (!confirm('Delete this room for everyone? All messages and files are removed from the server. This cannot be undone.')) return;
+        const result = await this.emitWithAck('delete-room');
+        if (!result.ok) this.showToast(result.error, 'error');
+    }
+
+    /**
+     * The room is gone: drop what this device kept for it
+     */
+    async handleRoomDeleted(data = {}) {
+        clearTimeout(this.cacheSaveTimer);
+        this.cache = null;
+        await MessageCache.forget(this.roomId).catch(() => {});
+        ['aes-keyring-', 'aes-passphrase-', 'aes-verify-dismissed-'].forEach(prefix => sessionStorage.removeItem(prefix + this.roomId));
+        ['aes-owner-', 'aes-chat-name-'].forEach(prefix => localStorage.removeItem(prefix + this.roomId));
+        alert(data.reason === 'expired'
+            ? `${data.roomName || 'This room'} expired after a period of inactivity.`
+            : `${data.roomName || 'This room'} was deleted by its owner.`);
+        window.location.href = '/';
+    }
+
+    /**
+     * Knock-to-enter: shown while a moderator decides on our join request
+     */
+    showLobbyWaiting(roomName) {
+        document.querySelector('.lobby-wait-popup')?.remove();
+
+        const popup = document.createElement('div');
+        popup.className = 'lobby-wait-popup';
+        popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); width: min(360px, 90vw); background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 16px; padding: 20px; z-index: 9999; box-shadow: var(--shadow-lg); backdrop-filter: blur(10px); text-align: center;';
+        popup.innerHTML = `
+            <i class="fas fa-door-closed" style="font-size: 28px; margin-bottom: 12px;"></i>
+            <div><strong>Waiting to be let in</strong></div>
+            <div class="message-time" style="margin-top: 8px;">A moderator of ${this.escapeHtml(roomName || 'this room')} has been asked to approve your request.</div>
+        `;
+        document.body.appendChild(popup);
+    }
+
+    /**
+     * Sidebar notification with the pending join requests (moderators only)
+     */
+    renderLobby() {
+        const section = document.getElementById('lobbySection');
+        const list = document.getElementById('lobbyList');
+        const count = document.getElementById('lobbyCount');
+        if (!section || !list) return;
+
+        section.style.display = this.lobbyRequests.length ? '' : 'none';
+        if (count) count.textContent = this.lobbyRequests.length;
+        list.innerHTML = '';
+        this.lobbyRequests.forEach(r => {
+            const item = document.createElement('li');
+            item.className = 'member-item';
+            item.innerHTML = `
+                <div class="member-avatar" style="background: ${this.generateColor(r.name)}">${this.escapeHtml(this.getInitials(r.name))}</div>
+                <div class="member-info">
+                    <div class="member-name">${this.escapeHtml(r.name)}</div>
+                </div>
+                <button class="btn-secondary lobby-btn" data-action="admit">Admit</button>
+                <button class="btn-secondary lobby-btn" data-action="deny">Deny</button>
+            `;
+            item.querySelector('[data-action="admit"]').addEventListener('click', () => this.answerJoinRequest(r.socketId, true));
+            item.querySelector('[data-action="deny"]').addEventListener('click', () => this.answerJoinRequest(r.socketId, false));
+            list.appendChild(item);
+        });
+    }
+
+    answerJoinRequest(socketId, approve) {
+        this.socket.emit('lobby-decision', { socketId, approve });
+    }
+
+    renderBans() {
+        const section = document.getElementById('bansSection');
+        const list = document.getElementById('bansList');
+        if (!section || !list) return;
+
+        section.style.display = this.bans.length ? '' : 'none';
+        // Banned userIds are client-chosen: the handler takes them from the closure, not the markup
+        list.innerHTML = '';
+        this.bans.forEach(b => {
+            const item = document.createElement('li');
+            item.className = 'member-item';
+            item.innerHTML = `
+                <div class="member-info">
+                    <div class="member-name">${this.escapeHtml(b.name || 'Unknown')}</div>
+                    <div class="member-device">Banned by ${this.escapeHtml(b.bannedBy || 'a moderator')}</div>
+                </div>
+                <button class="btn-secondary lobby-btn">Unban</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => this.unbanMember(b.userId));
+            list.appendChild(item);
+        });
+    }
+
+    banMember(userId) {
+        const member = this.members.get(userId);
+        if (confirm(`Ban ${member?.name || 'this member'}? They will be removed and can't rejoin until unbanned.`)) {
+            this.socket.emit('ban-member', { targetId: userId });
+        }
     }
 
-    createNewRoom() {
-        if (confirm('Create a new secure room? This will disconnect you from the current session.')) {
-            const roomId = 'aes-' + Math.random().toString(36).substring(2, 9) + Date.now().toString(36).substring(5);
-            window.location.href = `/?room=${roomId}`;
+    unbanMember(userId) {
+        this.socket.emit('unban-member', { userId });
+    }
+
+    /**
+     * Link Devices popup: offer a code to a new device, or enter one from an existing device
+     */
+    showDeviceLink() {
+        document.querySelector('.device-link-popup')?.remove();
+
+        const popup = document.createElement('div');
+        popup.className = 'device-link-popup';
+        popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); width: min(420px, 90vw); background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 16px; padding: 16px; z-index: 9999; box-shadow: var(--shadow-lg); backdrop-filter: blur(10px);';
+
+        popup.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <strong>Link Devices</strong>
+                <button class="icon-btn close-link" style="background: none; border: none; cursor: pointer; color: inherit;">✕</button>
+            </div>
+            <div style="padding: 8px 0;">
+                <div class="message-time">Add a new device - it joins as you, with your identity and the room keys this tab holds</div>
+                <button class="btn-secondary link-offer" style="margin-top: 8px;">Show link code</button>
+                <div class="link-offer-status" style="margin-top: 8px;"></div>
+            </div>
+            <div style="padding: 8px 0; border-top: 1px solid var(--border-color);">
+                <div class="message-time">Make this device one of yours - enter the code shown on your other device</div>
+                <div style="display: flex; gap: 8px; align-items: center; margin-top: 8px;">
+                    <input type="text" class="link-code" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off" style="flex: 1;">
+                    <button class="btn-secondary link-join">Link</button>
+                </div>
+                <div class="link-join-status" style="margin-top: 8px;"></div>
+            </div>
+        `;
+
+        popup.querySelector('.close-link').onclick = () => popup.remove();
+        popup.querySelector('.link-offer').onclick = () => this.offerDeviceLink(popup.querySelector('.link-offer-status'));
+        popup.querySelector('.link-join').onclick = () => this.joinDeviceLink(
+            popup.querySelector('.link-code').value,
+            popup.querySelector('.link-join-status')
+        );
+        document.body.appendChild(popup);
+    }
+
+    async offerDeviceLink(status) {
+        const keyPair = await DeviceLink.generateKeyPair();
+        // Our key is only sent once the new device has committed to its own
+        const result = await this.emitWithAck('device-link-start');
+        if (!result.ok) {
+            this.showToast(result.error, 'error');
+            return;
+        }
+        this.deviceLink = { role: 'offer', code: result.code, keyPair };
+        status.innerHTML = `
+            <div style="font-family: monospace; font-size: 20px; letter-spacing: 2px;">${DeviceLink.formatCode(result.code)}</div>
+            <div class="message-time">Enter this on the new device within 5 minutes</div>
+        `;
+    }
+
+    /**
+     * The new device answered our code with a commitment to its key: now send ours
+     */
+    handleDeviceLinkRequest({ code, commitment, deviceName }) {
+        const link = this.deviceLink;
+        if (!link || link.role !== 'offer' || link.code !== code || link.commitment) return;
+        link.commitment = commitment;
+        link.deviceName = deviceName;
+        this.socket.emit('device-link-key', { code, publicKey: link.keyPair.publicKey });
+    }
+
+    /**
+     * The new device revealed its key: send the profile once it matches the commitment
+     * and the user has compared numbers
+     */
+    async handleDeviceLinkReveal({ code, publicKey }) {
+        const link = this.deviceLink;
+        if (!link || link.role !== 'offer' || link.code !== code || !link.commitment) return;
+        this.deviceLink = null;
+        const { deviceName } = link;
+
+        if (!(await DeviceLink.checkCommitment(link.commitment, publicKey))) {
+            console.warn('[LINK] The new device\'s key does not match its commitment');
+            this.socket.emit('device-link-cancel', { code });
+            this.showToast('Device linking failed: the key exchange was tampered with', 'error');
+            return;
+        }
+
+        const number = await DeviceLink.confirmationNumber(link.keyPair.publicKey, publicKey);
+        const accepted = confirm(
+            `Link ${deviceName}?
+
+The new device should show:
+
+${number}
+
+` +
+            'Only continue if the numbers match. The device will act as you and can read your rooms.'
+        );
+        if (!accepted) {
+            this.socket.emit('device-link-cancel', { code });
+            this.showToast('Device linking cancelled', 'warning');
+            return;
+        }
+
+        try {
+            const key = await DeviceLink.channelKey(link.keyPair.privateKey, publicKey, code);
+            const sealed = await DeviceLink.seal(key, code, await DeviceLink.exportProfile(this.userId));
+            this.socket.emit('device-link-confirm', { code, sealed });
+            this.showToast(`${deviceName} linked`, 'success');
+            document.querySelector('.device-link-popup')?.remove();
+        } catch (err) {
+            console.error('[LINK] Could not send the profile:', err);
+            this.socket.emit('device-link-cancel', { code });
+            this.showToast('Device linking failed', 'error');
+        }
+    }
+
+    async joinDeviceLink(rawCode, status) {
+        const code = DeviceLink.normalizeCode(rawCode);
+        if (code.length !== 8) {
+            this.showToast('Enter the 8-character code from your other device', 'error');
+            return;
+        }
+        if (!confirm('Linking replaces the identity on this device with the one from your other device. Continue?')) return;
+
+        // Only a commitment goes out now: the key itself follows the other device's
+        const keyPair = await DeviceLink.generateKeyPair();
+        const result = await this.emitWithAck('device-link-join', {
+            code,
+            commitment: await DeviceLink.commitment(keyPair.publicKey),
+            deviceName: DeviceLink.deviceName()
+        });
+        if (!result.ok) {
+            this.showToast(result.error, 'error');
+            return;
+        }
+        this.deviceLink = { role: 'join', code, keyPair, peerKey: null, status };
+        status.innerHTML = '<div class="message-time">Waiting for your other device...</div>';
+    }
+
+    /**
+     * The existing device sent its key: reveal ours and show the number to compare
+     */
+    async handleDeviceLinkKey({ code, publicKey }) {
+        const link = this.deviceLink;
+        if (!link || link.role !== 'join' || link.code !== code || link.peerKey) return;
+        link.peerKey = publicKey;
+        this.socket.emit('device-link-reveal', { code, publicKey: link.keyPair.publicKey });
+
+        const number = await DeviceLink.confirmationNumber(publicKey, link.keyPair.publicKey);
+        link.status.innerHTML = `
+            <div class="message-time">Confirm on your other device that it shows</div>
+            <div style="font-family: monospace; font-size: 20px; letter-spacing: 2px;">${number}</div>
+        `;
+    }
+
+    async handleDeviceLinkPayload({ sealed }) {
+        const link = this.deviceLink;
+        if (!link || link.role !== 'join' || !link.peerKey) return;
+        this.deviceLink = null;
+
+        try {
+            const key = await DeviceLink.channelKey(link.keyPair.privateKey, link.peerKey, link.code);
+            await DeviceLink.importProfile(await DeviceLink.open(key, link.code, sealed));
+        } catch (err) {
+            console.error('[LINK] Could not import the profile:', err);
+            this.showToast('Device linking failed', 'error');
+            return;
+        }
+        this.showToast('Device linked. Reloading...', 'success');
+        setTimeout(() => window.location.reload(), 1000);
+    }
+
+    // Device ids aren't shared with the room, so a device is named by its connection
+    revokeDevice(socketId) {
+        const device = this.members.get(this.userId)?.devices?.find(d => d.socketId === socketId);
+        if (!confirm(`Revoke ${device?.deviceName || 'this device'}? It will be signed out and the room key will be rotated.`)) return;
+        this.emitWithAck('revoke-device', { socketId }).then(result => {
+            if (result.ok) {
+                this.showToast('Device revoked', 'success');
+            } else {
+                this.showToast(result.error, 'error');
+            }
+        });
+    }
+
+    /**
+     * One of our other devices revoked this one: shred what it knew as that user
+     */
+    async handleDeviceRevoked(data = {}) {
+        clearTimeout(this.cacheSaveTimer);
+        this.cache = null;
+        await Promise.allSettled([MessageCache.wipe(), IdentityKeys.forget()]);
+        for (const key of Object.keys(sessionStorage)) {
+            if (key.startsWith('aes-')) sessionStorage.removeItem(key);
+        }
+        for (const key of Object.keys(localStorage)) {
+            if (key.startsWith('aes-owner-')) localStorage.removeItem(key);
         }
+        localStorage.removeItem('aes-persistent-uid');
+        localStorage.removeItem('aes-device-id');
+        alert(`This device was revoked from ${data.roomName || 'the room'} by one of your other devices.`);
+        window.location.href = '/';
     }
 
     kickMember(userId, userName) {
@@ -1316,8 +2775,10 @@ class AESChatApp {
             if (isHidden) {
                 wb.classList.remove('hidden');
                 if (!this.whiteboard) {
-                    this.whiteboard = new SecureWhiteboard(this.socket, this.encryptionKey, 'canvasMount');
+                    this.whiteboard = new SecureWhiteboard(this.socket, this.encryptionKey, 'canvasMount', this.currentUser);
                 }
+                // May have arrived after the canvas was created
+                this.whiteboard.setKey(this.encryptionKey, this.keyring ? [...this.keyring.keys.values()] : []);
                 this.whiteboard.isActive = true;
                 this.showToast('Collaborative Canvas Active', 'success');
             } else {
@@ -1428,8 +2889,10 @@ class AESChatApp {
                 : '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'}
                 </svg>
             </div>
-            <span>${message}</span>
+            <span></span>
         `;
+        // Messages often carry names chosen by other people: never parse them as HTML
+        toast.querySelector('span').textContent = message;
         toast.style.cssText = `
             position: fixed; bottom: 80px; left: 50%; transform: translateX(-50%);
             background: ${type === 'error' ? '#ef4444' : 'var(--accent-primary)'}; color: white;
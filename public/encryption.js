@@ -7,6 +7,7 @@ class AESEncryption {
     constructor() {
         this.algorithm = 'AES-GCM';
         this.keyLength = 256;
+        this.passphraseIterations = 600000; // PBKDF2-SHA256, OWASP 2023 guidance
     }
 
     // Generate a random encryption key
@@ -78,20 +79,39 @@ class AESEncryption {
         }
     }
 
-    // Generate room key from room ID (simplified for demo)
-    async deriveRoomKey(roomId) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(roomId + '-aes-chat-secure-key');
-
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    // Derive a passphrase room's key. PBKDF2 gives 512 bits: the first half is the
+    // room key, the second a proof for the server. The halves are independent, so
+    // the proof (or its stored hash) says nothing about the key.
+    async derivePassphraseKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase.normalize('NFKC')),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.base64ToArrayBuffer(salt), iterations },
+            material,
+            512
+        );
 
-        return await crypto.subtle.importKey(
+        const key = await crypto.subtle.importKey(
             'raw',
-            hashBuffer,
+            bits.slice(0, 32),
             { name: this.algorithm, length: this.keyLength },
             true,
             ['encrypt', 'decrypt']
         );
+        return { key, proof: this.arrayBufferToBase64(bits.slice(32)) };
+    }
+
+    // New passphrase room: fresh salt, plus the verifier the server stores
+    async createPassphraseParams(passphrase) {
+        const salt = this.arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const iterations = this.passphraseIterations;
+        const { key, proof } = await this.derivePassphraseKey(passphrase, salt, iterations);
+        return { salt, iterations, verifier: await this.hash(proof), key, proof };
     }
 
     // Utility functions
@@ -31,6 +31,7 @@ function initCreateRoomForm() {
     const form = document.getElementById('createRoomForm');
     const userNameInput = document.getElementById('userName');
     const roomNameInput = document.getElementById('roomName');
+    const passphraseInput = document.getElementById('roomPassphrase');
 
     // Load saved username
     const savedName = localStorage.getItem('aes-username');
@@ -43,11 +44,16 @@ function initCreateRoomForm() {
 
         const userName = userNameInput.value.trim();
         const roomName = roomNameInput.value.trim();
+        const passphrase = passphraseInput ? passphraseInput.value : '';
 
         if (!userName) {
             showError('Please enter your name');
             return;
         }
+        if (passphrase && passphrase.length < 8) {
+            showError('Passphrase must be at least 8 characters');
+            return;
+        }
 
         // Save username for future sessions
         localStorage.setItem('aes-username', userName);
@@ -58,10 +64,17 @@ function initCreateRoomForm() {
         submitBtn.innerHTML = '<span>Creating...</span>';
 
         try {
+            // Passphrase rooms: derive here so only the salt and verifier reach the server
+            const params = passphrase ? await window.AESEncryption.createPassphraseParams(passphrase) : null;
+
             const response = await fetch('/api/rooms', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name: roomName, creatorName: userName })
+                body: JSON.stringify({
+                    name: roomName,
+                    creatorName: userName,
+                    passphrase: params && { salt: params.salt, iterations: params.iterations, verifier: params.verifier }
+                })
             });
 
             const data = await response.json();
@@ -69,6 +82,15 @@ function initCreateRoomForm() {
             if (data.success) {
                 // Store username for the chat page
                 sessionStorage.setItem('aes-joining-name', userName);
+                // The owner token is only returned now: without it nobody can manage the room
+                localStorage.setItem(`aes-owner-${data.roomId}`, data.ownerToken);
+                if (params) {
+                    // Saves the creator typing the passphrase again on the next page
+                    sessionStorage.setItem(`aes-passphrase-${data.roomId}`, JSON.stringify({
+                        key: await window.AESEncryption.exportKey(params.key),
+                        proof: params.proof
+                    }));
+                }
                 // Redirect to room
                 window.location.href = `/room/${data.roomId}`;
             } else {
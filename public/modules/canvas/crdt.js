@@ -0,0 +1,194 @@
+/**
+ * Whiteboard CRDT Document
+ * Conflict-free board state: every client converges on the same strokes no
+ * matter in which order (or how many times) operations are delivered.
+ *
+ * DESIGN:
+ * - Lamport timestamps { c: counter, s: siteId }, totally ordered by (c, s)
+ * - Last-writer-wins element map keyed by stroke id
+ *   - each field of a stroke carries its own timestamp (concurrent move + edit both survive)
+ *   - addTs / removeTs per element; removes leave tombstones
+ *   - one board-wide clearTs: a clear hides only what was added before it
+ * - An element is visible iff addTs > max(removeTs, clearTs)
+ * - apply() and merge() only ever take maxima, so they are commutative,
+ *   associative and idempotent
+ */
+
+// Compare two timestamps; null sorts before everything
+function compareTs(a, b) {
+    if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+    if (a.c !== b.c) return a.c - b.c;
+    return a.s < b.s ? -1 : a.s > b.s ? 1 : 0;
+}
+
+function maxTs(a, b) {
+    return compareTs(a, b) >= 0 ? a : b;
+}
+
+function isTs(ts) {
+    return !!ts && Number.isInteger(ts.c) && ts.c >= 0 && typeof ts.s === 'string';
+}
+
+export class CanvasDocument {
+    /**
+     * @param {string} site - Unique per client session; breaks timestamp ties
+     */
+    constructor(site) {
+        this.site = site;
+        this.clock = 0;
+        this.elements = new Map(); // id -> { value, fieldTs, addTs, removeTs, createdTs }
+        this.clearTs = null;
+    }
+
+    static compare(a, b) {
+        return compareTs(a, b);
+    }
+
+    /**
+     * Deterministic timestamp for entries logged before ops were stamped.
+     * Every client replays the same log, so ordering by server seq converges;
+     * counter 0 keeps them behind any stamped op.
+     */
+    static legacyTs(seq) {
+        return { c: 0, s: `~${String(seq || 0).padStart(12, '0')}` };
+    }
+
+    tick() {
+        return { c: ++this.clock, s: this.site };
+    }
+
+    observe(ts) {
+        if (ts.c > this.clock) this.clock = ts.c;
+    }
+
+    /**
+     * Stamps a local operation with the next timestamp
+     */
+    stamp(op) {
+        return { ...op, ts: this.tick() };
+    }
+
+    /**
+     * Applies one operation:
+     * { op: 'add', stroke } | { op: 'restore', strokes } | { op: 'remove', ids }
+     * | { op: 'update', id, changes } | { op: 'clear' }
+     * Every op carries ts. Throws on malformed input.
+     */
+    apply(op) {
+        if (!op || !isTs(op.ts)) throw new Error('Malformed stroke op');
+        const ts = op.ts;
+        this.observe(ts);
+
+        if (op.op === 'add' || op.op === 'restore') {
+            const added = op.op === 'add' ? [op.stroke] : op.strokes;
+            if (!Array.isArray(added)) throw new Error('Malformed stroke op');
+            added.forEach(stroke => {
+                if (!stroke || typeof stroke.id !== 'string' || !Array.isArray(stroke.points)) {
+                    throw new Error('Malformed stroke');
+                }
+                const el = this.element(stroke.id);
+                el.addTs = maxTs(el.addTs, ts);
+                el.createdTs = el.createdTs && compareTs(el.createdTs, ts) <= 0 ? el.createdTs : ts;
+                this.setFields(el, stroke, ts);
+            });
+        } else if (op.op === 'remove') {
+            if (!Array.isArray(op.ids)) throw new Error('Malformed stroke op');
+            op.ids.forEach(id => {
+                const el = this.element(id);
+                el.removeTs = maxTs(el.removeTs, ts);
+            });
+        } else if (op.op === 'update') {
+            const { id, changes } = op;
+            if (typeof id !== 'string' || !changes || typeof changes !== 'object' || 'id' in changes) {
+                throw new Error('Malformed stroke op');
+            }
+            if ('points' in changes && !Array.isArray(changes.points)) throw new Error('Malformed stroke op');
+            // An update may overtake its add: the element waits invisibly for it
+            this.setFields(this.element(id), changes, ts);
+        } else if (op.op === 'clear') {
+            this.clearTs = maxTs(this.clearTs, ts);
+        } else {
+            throw new Error(`Unknown stroke op: ${op.op}`);
+        }
+    }
+
+    element(id) {
+        let el = this.elements.get(id);
+        if (!el) {
+            el = { value: { id }, fieldTs: {}, addTs: null, removeTs: null, createdTs: null };
+            this.elements.set(id, el);
+        }
+        return el;
+    }
+
+    setFields(el, fields, ts) {
+        Object.keys(fields).forEach(key => {
+            if (key === 'id') return;
+            if (compareTs(ts, el.fieldTs[key]) > 0) {
+                el.value[key] = fields[key];
+                el.fieldTs[key] = ts;
+            }
+        });
+    }
+
+    isVisible(el) {
+        return compareTs(el.addTs, maxTs(el.removeTs, this.clearTs)) > 0 && Array.isArray(el.value.points);
+    }
+
+    /**
+     * Visible strokes in creation order (stable z-order across clients).
+     * Returned objects are the live element values, so references survive re-materialisation.
+     */
+    strokes() {
+        return Array.from(this.elements.values())
+            .filter(el => this.isVisible(el))
+            .sort((a, b) => compareTs(a.createdTs, b.createdTs))
+            .map(el => el.value);
+    }
+
+    /**
+     * Serialisable state for snapshots. Elements entirely covered by the clear
+     * are dropped: any late op for them is older than clearTs and stays hidden.
+     */
+    toJSON() {
+        const elements = [];
+        this.elements.forEach((el, id) => {
+            const newest = Object.values(el.fieldTs).reduce(maxTs, maxTs(el.addTs, el.removeTs));
+            if (this.clearTs && compareTs(newest, this.clearTs) <= 0) return;
+            elements.push([id, el]);
+        });
+        return { v: 1, clock: this.clock, clearTs: this.clearTs, elements };
+    }
+
+    /**
+     * Merges a serialised state (snapshot) into this document
+     */
+    merge(state) {
+        if (!state || !Array.isArray(state.elements)) throw new Error('Malformed snapshot');
+        if (state.clearTs) {
+            if (!isTs(state.clearTs)) throw new Error('Malformed snapshot');
+            this.clearTs = maxTs(this.clearTs, state.clearTs);
+            this.observe(state.clearTs);
+        }
+        if (Number.isInteger(state.clock) && state.clock > this.clock) this.clock = state.clock;
+
+        state.elements.forEach(([id, remote]) => {
+            if (typeof id !== 'string' || !remote || !remote.value || !remote.fieldTs) {
+                throw new Error('Malformed snapshot');
+            }
+            const el = this.element(id);
+            if (isTs(remote.addTs)) el.addTs = maxTs(el.addTs, remote.addTs);
+            if (isTs(remote.removeTs)) el.removeTs = maxTs(el.removeTs, remote.removeTs);
+            if (isTs(remote.createdTs) && (!el.createdTs || compareTs(remote.createdTs, el.createdTs) < 0)) {
+                el.createdTs = remote.createdTs;
+            }
+            Object.keys(remote.fieldTs).forEach(key => {
+                const ts = remote.fieldTs[key];
+                if (key !== 'id' && isTs(ts) && compareTs(ts, el.fieldTs[key]) > 0) {
+                    el.value[key] = remote.value[key];
+                    el.fieldTs[key] = ts;
+                }
+            });
+        });
+    }
+}
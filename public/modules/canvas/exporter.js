@@ -0,0 +1,226 @@
+/**
+ * Whiteboard Export
+ * Renders the whole infinite board (bounding box of every stroke), not just the viewport.
+ *
+ * FORMATS:
+ * - PNG: rasterised through the board's own drawShape/drawPath
+ * - SVG: vector paths, text and embedded images built from the same geometry
+ * - JSON: portable document that can be imported into another room
+ */
+
+const BACKGROUND = '#0a0a0c';
+const PADDING = 40;
+const MAX_PNG_SIDE = 8192; // Browsers refuse larger canvases
+const JSON_FORMAT = 'aes-chat-whiteboard';
+// Images arrive in ops from other members: only embedded data is drawn, never a URL a
+// viewer's browser would fetch (that would leak their IP to whoever placed it)
+const IMAGE_SOURCE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]*={0,2}$/;
+
+export function isSafeImageSource(src) {
+    return typeof src === 'string' && IMAGE_SOURCE.test(src);
+}
+
+export class WhiteboardExporter {
+    /**
+     * World-space bounding box of all strokes (including stroke width)
+     * @returns {{minX: number, minY: number, width: number, height: number}|null}
+     */
+    static bounds(strokes) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        strokes.forEach(s => {
+            if (!s.points?.length) return;
+            const pad = (s.tool === 'eraser' ? s.width * 10 : s.width) / 2;
+            let pts = s.points;
+
+            if (s.tool === 'circle' && pts.length > 1) {
+                const c = pts[0];
+                const end = pts[pts.length - 1];
+                const r = Math.hypot(end.x - c.x, end.y - c.y);
+                pts = [{ x: c.x - r, y: c.y - r }, { x: c.x + r, y: c.y + r }];
+            }
+
+            pts.forEach(p => {
+                minX = Math.min(minX, p.x - pad);
+                minY = Math.min(minY, p.y - pad);
+                maxX = Math.max(maxX, p.x + pad);
+                maxY = Math.max(maxY, p.y + pad);
+            });
+        });
+
+        if (minX === Infinity) return null;
+        return {
+            minX: minX - PADDING,
+            minY: minY - PADDING,
+            width: maxX - minX + PADDING * 2,
+            height: maxY - minY + PADDING * 2
+        };
+    }
+
+    /**
+     * @param {SecureWhiteboard} board
+     * @returns {Promise<Blob>}
+     */
+    static toPNG(board) {
+        const box = this.bounds(board.strokes);
+        if (!box) return Promise.reject(new Error('The canvas is empty'));
+
+        const ratio = Math.min(1, MAX_PNG_SIDE / Math.max(box.width, box.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(box.width * ratio);
+        canvas.height = Math.ceil(box.height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(ratio, ratio);
+        ctx.translate(-box.minX, -box.minY);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Reuse the live renderer against the offscreen context
+        const liveCtx = board.ctx;
+        board.ctx = ctx;
+        try {
+            board.strokes.forEach(s => board.drawShape(s));
+        } finally {
+            board.ctx = liveCtx;
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    /**
+     * @returns {string} Standalone SVG document
+     */
+    static toSVG(strokes) {
+        const clean = strokes.map(s => this.numeric(s)).filter(Boolean);
+        const box = this.bounds(clean);
+        if (!box) throw new Error('The canvas is empty');
+
+        const elements = clean.map(s => this.svgElement(s)).filter(Boolean).join('\n  ');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="${box.minX} ${box.minY} ${box.width} ${box.height}" width="${Math.ceil(box.width)}" height="${Math.ceil(box.height)}">
+  <rect x="${box.minX}" y="${box.minY}" width="${box.width}" height="${box.height}" fill="${BACKGROUND}"/>
+  ${elements}
+</svg>`;
+    }
+
+    /**
+     * Strokes come from other members' ops, and their numbers go into the markup without
+     * escape(): a copy with every number coerced, or null to leave the stroke out
+     */
+    static numeric(s) {
+        const width = Number(s.width);
+        const points = (s.points || []).map(p => ({ x: Number(p?.x), y: Number(p?.y) }));
+        if (!Number.isFinite(width) || points.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y))) return null;
+        return { ...s, width, points };
+    }
+
+    static svgElement(s) {
+        const pts = s.points || [];
+        if (!pts.length) return '';
+        const first = pts[0];
+        const last = pts[pts.length - 1];
+        const color = this.escape(s.tool === 'eraser' ? BACKGROUND : s.color);
+        const width = s.tool === 'eraser' ? s.width * 10 : s.width;
+        const attrs = `fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"`;
+
+        if (s.tool === 'text' || s.tool === 'sticky' || s.tool === 'image') {
+            return this.objectElement(s);
+        }
+        if (s.tool === 'pen' || s.tool === 'eraser') {
+            const d = this.pathData(pts);
+            return d ? `<path d="${d}" ${attrs}/>` : '';
+        }
+        if (pts.length < 2) return '';
+        if (s.tool === 'line') {
+            return `<line x1="${first.x}" y1="${first.y}" x2="${last.x}" y2="${last.y}" ${attrs}/>`;
+        }
+        if (s.tool === 'rect') {
+            return `<rect x="${Math.min(first.x, last.x)}" y="${Math.min(first.y, last.y)}" width="${Math.abs(last.x - first.x)}" height="${Math.abs(last.y - first.y)}" ${attrs}/>`;
+        }
+        if (s.tool === 'circle') {
+            const r = Math.hypot(last.x - first.x, last.y - first.y);
+            return `<circle cx="${first.x}" cy="${first.y}" r="${r}" ${attrs}/>`;
+        }
+        return '';
+    }
+
+    /**
+     * Text, sticky notes and images. Sticky text is not wrapped: SVG has no
+     * line breaking, so each source line becomes one tspan.
+     */
+    static objectElement(s) {
+        const [a, b] = s.points;
+        if (!a || !b) return '';
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        const w = Math.abs(b.x - a.x);
+        const h = Math.abs(b.y - a.y);
+
+        if (s.tool === 'image') {
+            if (!isSafeImageSource(s.src)) return '';
+            return `<image href="${this.escape(s.src)}" x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="none"/>`;
+        }
+
+        const lines = String(s.text).split('\n');
+        const sticky = s.tool === 'sticky';
+        const fontSize = sticky ? Math.max(8, w / 11) : h / (lines.length * 1.25);
+        const inset = sticky ? fontSize * 0.8 : 0;
+        const tspans = lines
+            .map((line, i) => `<tspan x="${x + inset}" y="${y + inset + i * fontSize * 1.25}">${this.escape(line)}</tspan>`)
+            .join('');
+        const text = `<text font-family="Inter, sans-serif" font-size="${fontSize}" fill="${this.escape(s.color)}" dominant-baseline="hanging">${tspans}</text>`;
+        if (!sticky) return text;
+        return `<g><rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${this.escape(s.fill || '#ffe066')}"/>${text}</g>`;
+    }
+
+    /**
+     * Same quadratic smoothing as SecureWhiteboard.drawPath
+     */
+    static pathData(pts) {
+        if (pts.length < 2) return '';
+        let d = `M ${pts[0].x} ${pts[0].y}`;
+        let i;
+        for (i = 1; i < pts.length - 2; i++) {
+            const xc = (pts[i].x + pts[i + 1].x) / 2;
+            const yc = (pts[i].y + pts[i + 1].y) / 2;
+            d += ` Q ${pts[i].x} ${pts[i].y} ${xc} ${yc}`;
+        }
+        if (pts.length > 2) {
+            d += ` Q ${pts[i].x} ${pts[i].y} ${pts[i + 1].x} ${pts[i + 1].y}`;
+        }
+        return d;
+    }
+
+    static toJSON(strokes) {
+        return JSON.stringify({
+            format: JSON_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            strokes
+        }, null, 2);
+    }
+
+    /**
+     * Parses an exported document. Imported strokes get fresh ids so they
+     * never collide with strokes already on the target board.
+     * @returns {Array} strokes
+     */
+    static fromJSON(text) {
+        const doc = JSON.parse(text);
+        if (doc.format !== JSON_FORMAT || !Array.isArray(doc.strokes)) {
+            throw new Error('Not an AES Chat whiteboard export');
+        }
+        return doc.strokes
+            .filter(s => Array.isArray(s.points))
+            .map(s => ({ ...s, id: Math.random().toString(36).substr(2, 9) }));
+    }
+
+    static escape(value) {
+        return String(value).replace(/[<>"&]/g, c => ({ '<': '&lt;', '>': '&gt;', '"': '&quot;', '&': '&amp;' }[c]));
+    }
+}
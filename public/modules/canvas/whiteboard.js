@@ -8,12 +8,45 @@
  * - Shapes: Rectangle, Circle, Line
  * - Laser Pointer: Fading transient trails
  * - Holographic Glass Toolbar
+ * - AES-256-GCM sealed events: strokes, laser points and clears never leave the client in the clear
+ * - Server-side sealed stroke log: late joiners replay it, large logs are compacted into snapshots
+ * - Object eraser and per-user Undo/Redo (Ctrl+Z / Ctrl+Shift+Z)
+ * - Export to PNG / SVG / JSON, JSON import, post export to chat
+ * - Text boxes, sticky notes and pasted/dropped images with select, move and resize
+ * - Live remote cursors with names, presence list and "follow user" viewport lock
+ * - CRDT document model: boards converge regardless of delivery order, duplicates or reconnects
  */
 
+import { WhiteboardExporter, isSafeImageSource } from './exporter.js';
+import { CanvasDocument } from './crdt.js';
+
+// Sealed log entry kind -> event name it was sealed under
+const LOG_EVENTS = {
+    stroke: 'canvas-stroke',
+    clear: 'canvas-clear',
+    snapshot: 'canvas-snapshot'
+};
+
+// Box-shaped objects: points are [topLeft, bottomRight], width is 0
+const OBJECT_TOOLS = ['text', 'sticky', 'image'];
+const STICKY_FILL = '#ffe066';
+const MAX_IMAGE_SIDE = 1024; // Pasted images are downscaled before sealing
+
+// Remote cursors: sealed, throttled, never logged
+const CURSOR_INTERVAL = 50; // ms between our own cursor broadcasts
+const CURSOR_IDLE = 3000; // Start fading after this much silence
+const CURSOR_FADE = 2000;
+const PRESENCE_TIMEOUT = 30000; // Drop from the presence list
+
 export class SecureWhiteboard {
-    constructor(socket, encryptionKey, containerId) {
+    /**
+     * @param {object} [user] - { name, color } shown on other participants' boards
+     */
+    constructor(socket, encryptionKey, containerId, user = {}) {
         this.socket = socket;
         this.key = encryptionKey;
+        this.previousKeys = []; // Earlier key epochs, for log entries sealed before a rotation
+        this.user = { name: user.name || 'Anonymous', color: user.color || '#00a8ff' };
         this.container = document.getElementById(containerId);
 
         // UI Setup
@@ -29,9 +62,33 @@ export class SecureWhiteboard {
         this.isDrawing = false;
         this.isPanning = false;
         this.currentPath = [];
-        this.strokes = []; // Persistent strokes
+        this.doc = new CanvasDocument(Math.random().toString(36).substr(2, 9));
+        this.strokes = []; // Visible strokes, materialised from this.doc
+        this.pendingOps = new Map(); // "counter:site" -> { kind, op } not yet acknowledged by the server
+        this.resendPending = false; // Resend pendingOps once the next sync completes
+        this.compactUpTo = 0; // Seq of the snapshot the server asked for, once we have caught up to it
         this.laserTrails = []; // Transient { points: [], startTime }
-        this.remoteCursors = new Map(); // { id: { x, y, name, color } }
+        this.remoteCursors = new Map(); // senderId -> { x, y, name, color, view, lastSeen }
+        this.followingId = null; // Viewport locked to this sender's view
+        this.lastCursorSent = 0;
+        this.lastPointer = null; // Our last world-space pointer position
+        this.droppedEvents = 0; // Remote events that failed authentication
+
+        // Log sync: seq numbers are assigned by the server, contiguous from 1
+        this.syncing = false;
+        this.syncBuffer = []; // Seqs of live events received while the log replays
+        this.syncedSeq = 0; // Every entry up to here is reflected in this.strokes
+        this.seenSeqs = new Set(); // Applied entries beyond syncedSeq (out of order)
+
+        // Per-user history: only our own actions, so collaborators' work is never undone
+        this.undoStack = []; // { type: 'add' | 'remove', strokes }
+        this.redoStack = [];
+        this.erasedStrokes = []; // Strokes removed during the current eraser gesture
+
+        // Selection (select tool)
+        this.selectedId = null;
+        this.transform = null; // { mode: 'move' | 'resize', id, origin, before, box }
+        this.imageCache = new Map(); // src -> HTMLImageElement
 
         // Transform
         this.scale = 1;
@@ -41,10 +98,11 @@ export class SecureWhiteboard {
         // Tools
         this.color = '#00ff9d';
         this.lineWidth = 2;
-        this.tool = 'pen'; // pen, eraser, laser, rect, circle, line, pan
+        this.tool = 'pen'; // pen, eraser, laser, rect, circle, line, pan, select, text, sticky
 
         this.resize();
         this.initEvents();
+        this.setupPresence();
 
         // Start Render Loop (for laser fading and smoothing)
         this.renderLoop();
@@ -52,6 +110,12 @@ export class SecureWhiteboard {
         // Socket Listeners
         this.socket.on('canvas-stroke', (data) => this.handleRemoteStroke(data));
         this.socket.on('canvas-laser', (data) => this.handleRemoteLaser(data));
+        this.socket.on('canvas-cursor', (data) => this.handleRemoteCursor(data));
+        this.socket.on('canvas-clear', (data) => this.handleRemoteClear(data));
+        this.socket.on('canvas-state', (data) => this.handleCanvasState(data));
+        this.socket.on('canvas-compact-request', (data) => this.handleCompactRequest(data));
+
+        this.requestSync();
     }
 
     setupUI() {
@@ -72,6 +136,16 @@ export class SecureWhiteboard {
                 <button class="hub-btn" data-tool="rect" title="Rectangle"><i class="far fa-square"></i></button>
                 <button class="hub-btn" data-tool="circle" title="Circle"><i class="far fa-circle"></i></button>
             </div>
+
+            <div class="hub-divider"></div>
+
+            <div class="hub-section">
+                <button class="hub-btn" data-tool="select" title="Select / Move (S)"><i class="fas fa-mouse-pointer"></i></button>
+                <button class="hub-btn" data-tool="text" title="Text (T)"><i class="fas fa-font"></i></button>
+                <button class="hub-btn" data-tool="sticky" title="Sticky Note (N)"><i class="far fa-sticky-note"></i></button>
+                <button class="hub-btn" id="hubImage" title="Insert Image"><i class="far fa-image"></i></button>
+                <input type="file" id="hubImageInput" accept="image/*" hidden>
+            </div>
             
             <div class="hub-divider"></div>
             
@@ -89,6 +163,19 @@ export class SecureWhiteboard {
             <div class="hub-divider"></div>
             
             <div class="hub-section">
+                <button class="hub-btn" id="hubUndo" title="Undo (Ctrl+Z)"><i class="fas fa-undo"></i></button>
+                <button class="hub-btn" id="hubRedo" title="Redo (Ctrl+Shift+Z)"><i class="fas fa-redo"></i></button>
+                <div class="hub-menu-anchor">
+                    <button class="hub-btn" id="hubExport" title="Export / Import"><i class="fas fa-file-export"></i></button>
+                    <div class="hub-menu hidden" id="hubExportMenu">
+                        <button data-export="png"><i class="far fa-image"></i> Download PNG</button>
+                        <button data-export="svg"><i class="fas fa-bezier-curve"></i> Download SVG</button>
+                        <button data-export="json"><i class="fas fa-code"></i> Download JSON</button>
+                        <button data-export="chat"><i class="fas fa-paper-plane"></i> Post PNG to chat</button>
+                        <button data-export="import"><i class="fas fa-file-import"></i> Import JSON</button>
+                    </div>
+                    <input type="file" id="hubImport" accept="application/json,.json" hidden>
+                </div>
                 <button class="hub-btn danger" id="hubClear" title="Clear All"><i class="fas fa-trash-alt"></i></button>
                 <button class="hub-btn exit" id="hubClose" title="Close Canvas (Esc)"><i class="fas fa-times"></i></button>
             </div>
@@ -101,6 +188,7 @@ export class SecureWhiteboard {
                 toolbar.querySelectorAll('.hub-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.tool = btn.dataset.tool;
+                if (this.tool !== 'select') this.selectedId = null;
             };
         });
 
@@ -115,6 +203,36 @@ export class SecureWhiteboard {
         const colorPicker = toolbar.querySelector('#hubColor');
         colorPicker.oninput = (e) => this.color = e.target.value;
 
+        const imageInput = toolbar.querySelector('#hubImageInput');
+        toolbar.querySelector('#hubImage').onclick = () => imageInput.click();
+        imageInput.onchange = (e) => {
+            if (e.target.files[0]) this.addImage(e.target.files[0], this.viewCenter());
+            e.target.value = '';
+        };
+
+        toolbar.querySelector('#hubUndo').onclick = () => this.undo();
+        toolbar.querySelector('#hubRedo').onclick = () => this.redo();
+
+        const exportMenu = toolbar.querySelector('#hubExportMenu');
+        const importInput = toolbar.querySelector('#hubImport');
+        toolbar.querySelector('#hubExport').onclick = () => exportMenu.classList.toggle('hidden');
+        exportMenu.querySelectorAll('button').forEach(btn => {
+            btn.onclick = () => {
+                exportMenu.classList.add('hidden');
+                if (btn.dataset.export === 'import') {
+                    importInput.click();
+                } else if (btn.dataset.export === 'chat') {
+                    this.postToChat();
+                } else {
+                    this.exportBoard(btn.dataset.export);
+                }
+            };
+        });
+        importInput.onchange = (e) => {
+            if (e.target.files[0]) this.importBoard(e.target.files[0]);
+            e.target.value = '';
+        };
+
         toolbar.querySelector('#hubClear').onclick = () => {
             if (confirm('Wipe the entire canvas?')) this.clear();
         };
@@ -139,15 +257,48 @@ export class SecureWhiteboard {
         this.canvas.addEventListener('pointermove', (e) => this.move(e));
         this.canvas.addEventListener('pointerup', () => this.end());
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+
+        // Images: paste from clipboard or drop files onto the board
+        window.addEventListener('paste', (e) => {
+            if (!this.isActive || e.target.closest?.('input, textarea, [contenteditable]')) return;
+            const item = Array.from(e.clipboardData?.items || []).find(i => i.type.startsWith('image/'));
+            if (!item) return;
+            e.preventDefault();
+            this.addImage(item.getAsFile(), this.viewCenter());
+        });
+        this.container.addEventListener('dragover', (e) => e.preventDefault());
+        this.container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = Array.from(e.dataTransfer?.files || []).find(f => f.type.startsWith('image/'));
+            if (file) this.addImage(file, this.getPoint(e));
+        });
 
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
             if (!this.isActive) return;
+            if (e.target.closest?.('input, textarea, [contenteditable]')) return;
             const key = e.key.toLowerCase();
+
+            if (e.ctrlKey || e.metaKey) {
+                if (key === 'z') {
+                    e.preventDefault();
+                    if (e.shiftKey) this.redo(); else this.undo();
+                } else if (key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                }
+                return; // Don't let Ctrl+V/Ctrl+P etc. switch tools
+            }
+
             if (key === 'p') this.setTool('pen');
             if (key === 'l') this.setTool('laser');
             if (key === 'e') this.setTool('eraser');
             if (key === 'v') this.setTool('pan');
+            if (key === 's') this.setTool('select');
+            if (key === 't') this.setTool('text');
+            if (key === 'n') this.setTool('sticky');
+            if ((key === 'delete' || key === 'backspace') && this.selectedId) this.deleteSelected();
         });
     }
 
@@ -167,6 +318,7 @@ export class SecureWhiteboard {
 
     handleWheel(e) {
         e.preventDefault();
+        this.stopFollowing();
         const zoomSpeed = 0.0015;
         const delta = -e.deltaY;
         const newScale = this.scale * (1 + delta * zoomSpeed);
@@ -179,21 +331,39 @@ export class SecureWhiteboard {
         this.offsetX -= (mouseX - this.offsetX) * (newScale / this.scale - 1);
         this.offsetY -= (mouseY - this.offsetY) * (newScale / this.scale - 1);
         this.scale = Math.max(0.05, Math.min(10, newScale));
+        this.broadcastCursor();
     }
 
     start(e) {
         if (!this.isActive) return;
         if (e.button === 1 || this.tool === 'pan') {
+            this.stopFollowing();
             this.isPanning = true;
             this.lastPan = { x: e.clientX, y: e.clientY };
             this.canvas.style.cursor = 'grabbing';
             return;
         }
 
-        this.isDrawing = true;
         const p = this.getPoint(e);
+
+        if (this.tool === 'select') {
+            this.beginTransform(p);
+            return;
+        }
+        if (this.tool === 'text' || this.tool === 'sticky') {
+            this.createTextObject(this.tool, p);
+            return;
+        }
+
+        this.isDrawing = true;
         this.currentPath = [p];
 
+        if (this.tool === 'eraser') {
+            this.erasedStrokes = [];
+            this.eraseAt(p);
+            return;
+        }
+
         if (this.tool === 'laser') {
             this.currentLaser = { points: [p], startTime: Date.now() };
             this.laserTrails.push(this.currentLaser);
@@ -201,6 +371,9 @@ export class SecureWhiteboard {
     }
 
     move(e) {
+        this.lastPointer = this.getPoint(e);
+        this.broadcastCursor();
+
         if (this.isPanning) {
             this.offsetX += e.clientX - this.lastPan.x;
             this.offsetY += e.clientY - this.lastPan.y;
@@ -208,13 +381,24 @@ export class SecureWhiteboard {
             return;
         }
 
+        if (this.transform) {
+            this.updateTransform(this.getPoint(e));
+            return;
+        }
+
         if (this.isDrawing) {
             const p = this.getPoint(e);
+
+            if (this.tool === 'eraser') {
+                this.eraseAt(p);
+                return;
+            }
+
             this.currentPath.push(p);
 
             // Laser broadcast (real-time, not stored)
             if (this.tool === 'laser') {
-                this.socket.emit('canvas-laser', { point: p });
+                this.emitSealed('canvas-laser', { point: p });
             }
         }
     }
@@ -222,9 +406,24 @@ export class SecureWhiteboard {
     end() {
         this.isPanning = false;
         this.canvas.style.cursor = 'crosshair';
+        if (this.transform) {
+            this.endTransform();
+            return;
+        }
         if (!this.isDrawing) return;
         this.isDrawing = false;
 
+        if (this.tool === 'eraser') {
+            const erased = this.erasedStrokes;
+            this.erasedStrokes = [];
+            if (erased.length) {
+                this.commit({ op: 'remove', ids: erased.map(s => s.id) });
+                this.pushHistory({ type: 'remove', strokes: erased });
+            }
+            this.currentPath = [];
+            return;
+        }
+
         const stroke = {
             points: this.currentPath,
             color: this.color,
@@ -234,8 +433,8 @@ export class SecureWhiteboard {
         };
 
         if (this.tool !== 'laser') {
-            this.strokes.push(stroke);
-            this.emitStroke(stroke);
+            this.commit({ op: 'add', stroke });
+            this.pushHistory({ type: 'add', strokes: [stroke] });
         }
 
         this.currentPath = [];
@@ -246,6 +445,7 @@ export class SecureWhiteboard {
         // Clear laser after timeout
         const now = Date.now();
         this.laserTrails = this.laserTrails.filter(t => now - t.startTime < 2000);
+        this.pruneCursors(now);
         requestAnimationFrame(() => this.renderLoop());
     }
 
@@ -264,8 +464,9 @@ export class SecureWhiteboard {
         this.ctx.lineJoin = 'round';
 
         this.strokes.forEach(s => this.drawShape(s));
+        this.drawSelection();
 
-        if (this.isDrawing) {
+        if (this.isDrawing && this.tool !== 'eraser') {
             this.drawShape({
                 points: this.currentPath,
                 color: this.color,
@@ -275,6 +476,8 @@ export class SecureWhiteboard {
             });
         }
 
+        this.drawCursors();
+
         // Render Lasers
         this.laserTrails.forEach(t => {
             const age = Date.now() - t.startTime;
@@ -325,7 +528,10 @@ export class SecureWhiteboard {
             this.ctx.globalAlpha = 1.0;
         }
 
-        if (s.tool === 'pen' || s.tool === 'eraser') {
+        if (OBJECT_TOOLS.includes(s.tool)) {
+            this.drawObject(s);
+        } else if (s.tool === 'pen' || s.tool === 'eraser') {
+            // Legacy paint-over eraser strokes (the eraser now removes objects)
             if (s.tool === 'eraser') {
                 this.ctx.strokeStyle = '#060608'; // Matches new whiteboard bg
                 this.ctx.lineWidth = s.width * 10;
@@ -357,6 +563,90 @@ export class SecureWhiteboard {
         this.ctx.globalAlpha = 1.0;
     }
 
+    drawObject(s) {
+        const box = this.strokeBox(s);
+        if (s.tool === 'image') {
+            const img = this.getImage(s.src);
+            if (img && img.complete && img.naturalWidth) {
+                this.ctx.drawImage(img, box.x, box.y, box.w, box.h);
+            } else {
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(box.x, box.y, box.w, box.h);
+            }
+            return;
+        }
+
+        this.ctx.textBaseline = 'top';
+        if (s.tool === 'sticky') {
+            this.ctx.fillStyle = s.fill || STICKY_FILL;
+            this.ctx.fillRect(box.x, box.y, box.w, box.h);
+            const fontSize = Math.max(8, box.w / 11);
+            const padding = fontSize * 0.8;
+            this.ctx.font = `${fontSize}px Inter, sans-serif`;
+            this.ctx.fillStyle = s.color;
+            this.wrapLines(s.text, box.w - padding * 2).forEach((line, i) => {
+                const y = box.y + padding + i * fontSize * 1.25;
+                if (y + fontSize < box.y + box.h) this.ctx.fillText(line, box.x + padding, y);
+            });
+        } else {
+            // Plain text scales with its box: the font size follows the height
+            const lines = String(s.text).split('\n');
+            const fontSize = box.h / (lines.length * 1.25);
+            this.ctx.font = `${fontSize}px Inter, sans-serif`;
+            this.ctx.fillStyle = s.color;
+            lines.forEach((line, i) => this.ctx.fillText(line, box.x, box.y + i * fontSize * 1.25));
+        }
+    }
+
+    wrapLines(text, maxWidth) {
+        const lines = [];
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * @returns {HTMLImageElement|null} null for anything but an embedded image (drawn as an empty frame)
+     */
+    getImage(src) {
+        if (!isSafeImageSource(src)) return null;
+        let img = this.imageCache.get(src);
+        if (!img) {
+            img = new Image();
+            img.src = src;
+            this.imageCache.set(src, img);
+        }
+        return img;
+    }
+
+    drawSelection() {
+        const s = this.strokes.find(st => st.id === this.selectedId);
+        if (!s) return;
+        const box = this.strokeBox(s);
+        const pad = 4 / this.scale;
+        const handle = 10 / this.scale;
+
+        this.ctx.strokeStyle = '#00a8ff';
+        this.ctx.lineWidth = 1 / this.scale;
+        this.ctx.setLineDash([4 / this.scale, 4 / this.scale]);
+        this.ctx.strokeRect(box.x - pad, box.y - pad, box.w + pad * 2, box.h + pad * 2);
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = '#00a8ff';
+        this.ctx.fillRect(box.x + box.w + pad - handle / 2, box.y + box.h + pad - handle / 2, handle, handle);
+    }
+
     drawPath(s) {
         if (s.points.length < 2) return;
         this.ctx.beginPath();
@@ -380,27 +670,747 @@ export class SecureWhiteboard {
         this.ctx.stroke();
     }
 
-    emitStroke(stroke) {
-        this.socket.emit('canvas-stroke', stroke);
+    /**
+     * Seals a canvas event with the room key.
+     * The event name is bound as AAD so a sealed stroke can't be replayed as a clear.
+     * @returns {Promise<{iv: string, data: string}>}
+     */
+    async seal(event, payload) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(event) },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        return {
+            iv: window.AESEncryption.arrayBufferToBase64(iv),
+            data: window.AESEncryption.arrayBufferToBase64(encrypted)
+        };
+    }
+
+    /**
+     * Opens a sealed canvas event. Throws if the key is missing or the envelope was tampered with.
+     */
+    async open(event, envelope) {
+        if (!this.key) throw new Error('No room key');
+        // Log entries from before a key rotation are still sealed under an older epoch
+        const keys = [this.key, ...this.previousKeys.filter(k => k !== this.key)];
+        let lastError;
+        for (const key of keys) {
+            try {
+                const decrypted = await window.crypto.subtle.decrypt(
+                    {
+                        name: 'AES-GCM',
+                        iv: new Uint8Array(window.AESEncryption.base64ToArrayBuffer(envelope.iv)),
+                        additionalData: new TextEncoder().encode(event)
+                    },
+                    key,
+                    window.AESEncryption.base64ToArrayBuffer(envelope.data)
+                );
+                return JSON.parse(new TextDecoder().decode(decrypted));
+            } catch (err) {
+                lastError = err;
+            }
+        }
+        throw lastError;
+    }
+
+    async emitSealed(event, payload, ack) {
+        if (!this.key) {
+            console.warn('[Canvas] No room key yet. Event not sent:', event);
+            return;
+        }
+        try {
+            const envelope = await this.seal(event, payload);
+            if (ack) {
+                this.socket.emit(event, envelope, ack);
+            } else {
+                this.socket.emit(event, envelope);
+            }
+        } catch (err) {
+            console.error('[Canvas] Sealing failed:', err);
+        }
+    }
+
+    dropEvent(event, err) {
+        this.droppedEvents++;
+        console.warn(`[Canvas] Dropped unauthenticated ${event} (${this.droppedEvents} total):`, err.message);
+    }
+
+    /**
+     * Stamps a local operation, applies it and sends it through the sealed, logged channel:
+     * { op: 'add', stroke } | { op: 'remove', ids } | { op: 'restore', strokes } | { op: 'update', id, changes }
+     * on canvas-stroke, { op: 'clear' } on canvas-clear
+     */
+    commit(op, kind = 'stroke') {
+        // Read-only roles: the server would refuse it, so don't apply it locally either
+        if (kind === 'stroke' && window.chatApp && !window.chatApp.can('draw')) {
+            this.notify('Guests can\'t draw on the whiteboard', 'error');
+            this.refresh();
+            return;
+        }
+        const stamped = this.doc.stamp(op);
+        this.doc.apply(stamped);
+        this.refresh();
+        this.sendOp(kind, stamped);
+    }
+
+    /**
+     * Ops stay pending until the server acknowledges them with a seq,
+     * so they can be resent after a reconnect. Duplicates are harmless.
+     */
+    sendOp(kind, op) {
+        const id = `${op.ts.c}:${op.ts.s}`;
+        this.pendingOps.set(id, { kind, op });
+        this.emitSealed(LOG_EVENTS[kind], op, (seq) => {
+            this.pendingOps.delete(id);
+            this.markSeq(seq);
+        });
+    }
+
+    /**
+     * Applies one decrypted log entry to a document
+     */
+    applyEntry(doc, kind, payload, seq) {
+        if (kind === 'snapshot') {
+            if (payload.doc) {
+                doc.merge(payload.doc);
+                return;
+            }
+            // Snapshots taken before the CRDT model carry plain strokes
+            if (!Array.isArray(payload.strokes)) throw new Error('Malformed snapshot');
+            doc.apply({ op: 'restore', strokes: payload.strokes, ts: CanvasDocument.legacyTs(seq) });
+            return;
+        }
+
+        let op = payload;
+        if (kind === 'clear') op = { ...payload, op: 'clear' };
+        else if (!op.op) op = { op: 'add', stroke: op }; // Bare strokes logged before ops existed
+        if (!op.ts) op = { ...op, ts: CanvasDocument.legacyTs(seq) };
+        doc.apply(op);
+    }
+
+    /**
+     * Re-materialises the visible strokes (minus anything mid-erase)
+     */
+    refresh() {
+        const hidden = new Set(this.erasedStrokes.map(s => s.id));
+        this.strokes = this.doc.strokes().filter(s => !hidden.has(s.id));
+    }
+
+    markSeq(seq) {
+        if (typeof seq !== 'number' || seq <= this.syncedSeq) return;
+        this.seenSeqs.add(seq);
+        while (this.seenSeqs.has(this.syncedSeq + 1)) {
+            this.syncedSeq++;
+            this.seenSeqs.delete(this.syncedSeq);
+        }
+        this.compactIfAsked();
+    }
+
+    async applyRemote(kind, envelope) {
+        let payload;
+        try {
+            payload = await this.open(LOG_EVENTS[kind], envelope);
+        } catch (err) {
+            this.dropEvent(LOG_EVENTS[kind], err);
+            return;
+        }
+
+        // Ops commute, so they apply immediately even mid-replay; only seq bookkeeping waits
+        try {
+            this.applyEntry(this.doc, kind, payload, envelope.seq);
+            this.refresh();
+        } catch (err) {
+            this.dropEvent(LOG_EVENTS[kind], err);
+            return;
+        }
+        if (this.syncing) {
+            this.syncBuffer.push(envelope.seq);
+        } else {
+            this.markSeq(envelope.seq);
+        }
+    }
+
+    handleRemoteStroke(envelope) {
+        return this.applyRemote('stroke', envelope);
+    }
+
+    /**
+     * Swaps the room key (e.g. handshake finished after the canvas opened, or the key
+     * was rotated) and replays the log with it. If we rotated it, the server asks for
+     * a snapshot under the new key after this sync.
+     * @param {CryptoKey[]} previousKeys - older epochs, to open entries sealed before a rotation
+     */
+    setKey(key, previousKeys = []) {
+        this.previousKeys = previousKeys;
+        if (!key || key === this.key) return;
+        this.key = key;
+        this.resendPending = true; // Ops made without a key were never sent
+        this.requestSync();
+    }
+
+    /**
+     * Asks the server for the room's sealed log (late join / reopen)
+     */
+    requestSync() {
+        this.syncing = true;
+        this.syncBuffer = [];
+        this.socket.emit('canvas-sync');
+    }
+
+    /**
+     * Reconnected: replay the log, then resend whatever the server never acknowledged
+     */
+    handleReconnect() {
+        this.resendPending = true;
+        this.requestSync();
+    }
+
+    async handleCanvasState({ entries, seq }) {
+        // Merging into the live document is safe: replaying known ops is a no-op
+        for (const entry of entries) {
+            try {
+                this.applyEntry(this.doc, entry.kind, await this.open(LOG_EVENTS[entry.kind], entry.data), entry.seq);
+            } catch (err) {
+                this.dropEvent(LOG_EVENTS[entry.kind] || 'canvas-log', err);
+            }
+        }
+        this.refresh();
+
+        this.syncedSeq = seq;
+        this.seenSeqs.clear();
+        this.syncing = false;
+        const buffered = this.syncBuffer;
+        this.syncBuffer = [];
+        buffered.forEach(s => this.markSeq(s));
+
+        if (this.resendPending) {
+            this.resendPending = false;
+            Array.from(this.pendingOps.values()).forEach(({ kind, op }) => this.sendOp(kind, op));
+        }
+        this.compactIfAsked();
+    }
+
+    /**
+     * The server's log grew too large, or we rotated the key: it asks for a snapshot
+     * covering every entry up to `upToSeq` so older entries can be dropped. It only
+     * takes the one it asked for, so that is the seq we send back.
+     */
+    handleCompactRequest({ upToSeq } = {}) {
+        if (!Number.isInteger(upToSeq) || upToSeq < 1) return;
+        this.compactUpTo = upToSeq;
+        this.compactIfAsked();
+    }
+
+    /**
+     * Seals the snapshot once our state reflects every entry it has to cover
+     */
+    async compactIfAsked() {
+        const upToSeq = this.compactUpTo;
+        if (!upToSeq || this.syncing || !this.key || this.syncedSeq < upToSeq) return;
+        this.compactUpTo = 0;
+        try {
+            const envelope = await this.seal('canvas-snapshot', { doc: this.doc.toJSON() });
+            // upToSeq stays outside the envelope: the server needs it to trim the log
+            this.socket.emit('canvas-snapshot', { ...envelope, upToSeq });
+        } catch (err) {
+            console.error('[Canvas] Snapshot failed:', err);
+        }
+    }
+
+    /**
+     * Sends our pointer and viewport, at most every CURSOR_INTERVAL ms.
+     * The viewport rides along so followers can mirror our pan/zoom.
+     */
+    broadcastCursor() {
+        if (!this.isActive || !this.key || !this.lastPointer) return;
+        const now = Date.now();
+        if (now - this.lastCursorSent < CURSOR_INTERVAL) return;
+        this.lastCursorSent = now;
+
+        this.emitSealed('canvas-cursor', {
+            x: this.lastPointer.x,
+            y: this.lastPointer.y,
+            name: this.user.name,
+            color: this.user.color,
+            view: { ...this.viewCenter(), scale: this.scale }
+        });
+    }
+
+    async handleRemoteCursor(data) {
+        let cursor;
+        try {
+            cursor = await this.open('canvas-cursor', data);
+        } catch (err) {
+            this.dropEvent('canvas-cursor', err);
+            return;
+        }
+        if (!Number.isFinite(cursor.x) || !Number.isFinite(cursor.y)) return;
+
+        const isNew = !this.remoteCursors.has(data.senderId);
+        this.remoteCursors.set(data.senderId, {
+            x: cursor.x,
+            y: cursor.y,
+            name: String(cursor.name || 'Anonymous').slice(0, 40),
+            color: String(cursor.color || '#00a8ff'),
+            view: cursor.view,
+            lastSeen: Date.now()
+        });
+
+        if (data.senderId === this.followingId) this.applyView(cursor.view);
+        if (isNew) this.updatePresence();
+    }
+
+    drawCursors() {
+        const now = Date.now();
+        const size = 1 / this.scale; // Cursors keep a constant on-screen size
+
+        this.remoteCursors.forEach(c => {
+            const idle = now - c.lastSeen;
+            const alpha = idle < CURSOR_IDLE ? 1 : Math.max(0, 1 - (idle - CURSOR_IDLE) / CURSOR_FADE);
+            if (alpha === 0) return;
+
+            this.ctx.globalAlpha = alpha;
+            this.ctx.fillStyle = c.color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(c.x, c.y);
+            this.ctx.lineTo(c.x, c.y + 16 * size);
+            this.ctx.lineTo(c.x + 4.5 * size, c.y + 12 * size);
+            this.ctx.lineTo(c.x + 11 * size, c.y + 11 * size);
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            this.ctx.font = `${11 * size}px Inter, sans-serif`;
+            this.ctx.textBaseline = 'top';
+            const labelWidth = this.ctx.measureText(c.name).width + 10 * size;
+            this.ctx.fillRect(c.x + 10 * size, c.y + 16 * size, labelWidth, 16 * size);
+            this.ctx.fillStyle = '#0a0a0c';
+            this.ctx.fillText(c.name, c.x + 15 * size, c.y + 18.5 * size);
+            this.ctx.globalAlpha = 1.0;
+        });
+    }
+
+    pruneCursors(now) {
+        let changed = false;
+        this.remoteCursors.forEach((c, id) => {
+            if (now - c.lastSeen > PRESENCE_TIMEOUT) {
+                this.remoteCursors.delete(id);
+                if (id === this.followingId) this.followingId = null;
+                changed = true;
+            }
+        });
+        if (changed) this.updatePresence();
+    }
+
+    setupPresence() {
+        this.presenceEl = document.createElement('div');
+        this.presenceEl.className = 'hub-presence';
+        this.presenceEl.onclick = (e) => {
+            const item = e.target.closest('[data-follow]');
+            if (!item) return;
+            if (item.dataset.follow === this.followingId) {
+                this.stopFollowing();
+            } else {
+                this.follow(item.dataset.follow);
+            }
+        };
+        this.container.appendChild(this.presenceEl);
+        this.updatePresence();
+    }
+
+    updatePresence() {
+        if (!this.presenceEl) return;
+        this.presenceEl.innerHTML = '';
+        this.presenceEl.classList.toggle('hidden', this.remoteCursors.size === 0);
+
+        this.remoteCursors.forEach((c, id) => {
+            const item = document.createElement('button');
+            item.className = 'presence-item' + (id === this.followingId ? ' following' : '');
+            item.dataset.follow = id;
+            item.title = id === this.followingId ? 'Stop following' : `Follow ${c.name}`;
+
+            const dot = document.createElement('span');
+            dot.className = 'presence-dot';
+            dot.style.background = c.color;
+            const name = document.createElement('span');
+            name.textContent = c.name;
+            item.append(dot, name);
+
+            if (id === this.followingId) {
+                const eye = document.createElement('i');
+                eye.className = 'fas fa-eye';
+                item.appendChild(eye);
+            }
+            this.presenceEl.appendChild(item);
+        });
+    }
+
+    follow(id) {
+        const cursor = this.remoteCursors.get(id);
+        if (!cursor) return;
+        this.followingId = id;
+        this.applyView(cursor.view);
+        this.updatePresence();
     }
 
-    handleRemoteStroke(stroke) {
-        this.strokes.push(stroke);
+    stopFollowing() {
+        if (!this.followingId) return;
+        this.followingId = null;
+        this.updatePresence();
     }
 
-    handleRemoteLaser(data) {
+    /**
+     * Centres our viewport on another participant's view centre at their zoom
+     */
+    applyView(view) {
+        if (!view || !Number.isFinite(view.x) || !Number.isFinite(view.y) || !Number.isFinite(view.scale)) return;
+        const rect = this.canvas.getBoundingClientRect();
+        this.scale = Math.max(0.05, Math.min(10, view.scale));
+        this.offsetX = rect.width / 2 - view.x * this.scale;
+        this.offsetY = rect.height / 2 - view.y * this.scale;
+    }
+
+    async handleRemoteLaser(data) {
+        let point;
+        try {
+            ({ point } = await this.open('canvas-laser', data));
+        } catch (err) {
+            this.dropEvent('canvas-laser', err);
+            return;
+        }
+
         // Laser trails only
         const trail = this.laserTrails.find(t => t.id === data.senderId);
         if (!trail) {
-            this.laserTrails.push({ id: data.senderId, points: [data.point], startTime: Date.now() });
+            this.laserTrails.push({ id: data.senderId, points: [point], startTime: Date.now() });
         } else {
-            trail.points.push(data.point);
+            trail.points.push(point);
             trail.startTime = Date.now(); // Renew
         }
     }
 
+    /**
+     * Object eraser: removes every stroke whose geometry passes under the pointer
+     */
+    eraseAt(p) {
+        const radius = 8 / this.scale;
+        const hits = this.strokes.filter(s => this.hitTest(s, p, radius + s.width / 2));
+        if (!hits.length) return;
+
+        const ids = new Set(hits.map(s => s.id));
+        this.strokes = this.strokes.filter(s => !ids.has(s.id));
+        this.erasedStrokes.push(...hits);
+    }
+
+    hitTest(s, p, tolerance) {
+        const pts = s.points;
+        if (!pts || !pts.length) return false;
+        if (OBJECT_TOOLS.includes(s.tool)) {
+            const box = this.strokeBox(s);
+            return p.x >= box.x - tolerance && p.x <= box.x + box.w + tolerance &&
+                p.y >= box.y - tolerance && p.y <= box.y + box.h + tolerance;
+        }
+        const first = pts[0];
+        const last = pts[pts.length - 1];
+
+        if (s.tool === 'rect') {
+            const corners = [first, { x: last.x, y: first.y }, last, { x: first.x, y: last.y }, first];
+            return corners.slice(1).some((c, i) => this.distanceToSegment(p, corners[i], c) <= tolerance);
+        }
+        if (s.tool === 'circle') {
+            const radius = Math.hypot(last.x - first.x, last.y - first.y);
+            return Math.abs(Math.hypot(p.x - first.x, p.y - first.y) - radius) <= tolerance;
+        }
+        if (s.tool === 'line') {
+            return this.distanceToSegment(p, first, last) <= tolerance;
+        }
+        if (pts.length === 1) {
+            return Math.hypot(p.x - first.x, p.y - first.y) <= tolerance;
+        }
+        return pts.slice(1).some((pt, i) => this.distanceToSegment(p, pts[i], pt) <= tolerance);
+    }
+
+    distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    pushHistory(action) {
+        this.undoStack.push(action);
+        if (this.undoStack.length > 100) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Inverts our last action and commits the inverse as a normal op,
+     * so peers apply it exactly like any other remove/restore.
+     */
+    undo() {
+        const action = this.undoStack.pop();
+        if (!action) return;
+        this.applyHistory(action, true);
+        this.redoStack.push(action);
+    }
+
+    redo() {
+        const action = this.redoStack.pop();
+        if (!action) return;
+        this.applyHistory(action, false);
+        this.undoStack.push(action);
+    }
+
+    applyHistory(action, inverse) {
+        if (action.type === 'update') {
+            this.commit({ op: 'update', id: action.id, changes: inverse ? action.before : action.after });
+            return;
+        }
+
+        const shouldRemove = (action.type === 'add') === inverse;
+        this.commit(shouldRemove
+            ? { op: 'remove', ids: action.strokes.map(s => s.id) }
+            : { op: 'restore', strokes: action.strokes });
+    }
+
+    /**
+     * Axis-aligned box of any stroke or object in world space
+     */
+    strokeBox(s) {
+        const pts = s.points;
+        if (s.tool === 'circle' && pts.length > 1) {
+            const c = pts[0];
+            const end = pts[pts.length - 1];
+            const r = Math.hypot(end.x - c.x, end.y - c.y);
+            return { x: c.x - r, y: c.y - r, w: r * 2, h: r * 2 };
+        }
+        const xs = pts.map(p => p.x);
+        const ys = pts.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+    }
+
+    findObjectAt(p) {
+        const tolerance = 6 / this.scale;
+        for (let i = this.strokes.length - 1; i >= 0; i--) {
+            const s = this.strokes[i];
+            if (this.hitTest(s, p, tolerance + (s.width || 0) / 2)) return s;
+        }
+        return null;
+    }
+
+    beginTransform(p) {
+        const selected = this.strokes.find(s => s.id === this.selectedId);
+        if (selected) {
+            const box = this.strokeBox(selected);
+            const handle = 12 / this.scale;
+            if (Math.abs(p.x - (box.x + box.w)) <= handle && Math.abs(p.y - (box.y + box.h)) <= handle) {
+                this.transform = { mode: 'resize', id: selected.id, origin: p, before: selected.points, box };
+                return;
+            }
+        }
+
+        const target = this.findObjectAt(p);
+        this.selectedId = target ? target.id : null;
+        if (target) {
+            this.transform = { mode: 'move', id: target.id, origin: p, before: target.points, box: this.strokeBox(target) };
+        }
+    }
+
+    updateTransform(p) {
+        const t = this.transform;
+        const target = this.strokes.find(s => s.id === t.id);
+        if (!target) {
+            this.transform = null; // Removed by a peer mid-gesture
+            return;
+        }
+
+        const dx = p.x - t.origin.x;
+        const dy = p.y - t.origin.y;
+        if (t.mode === 'move') {
+            target.points = t.before.map(pt => ({ x: pt.x + dx, y: pt.y + dy }));
+        } else {
+            const minSide = 10 / this.scale;
+            const sx = Math.max(minSide, t.box.w + dx) / (t.box.w || 1);
+            const sy = Math.max(minSide, t.box.h + dy) / (t.box.h || 1);
+            target.points = t.before.map(pt => ({
+                x: t.box.x + (pt.x - t.box.x) * sx,
+                y: t.box.y + (pt.y - t.box.y) * sy
+            }));
+        }
+    }
+
+    endTransform() {
+        const t = this.transform;
+        this.transform = null;
+        const target = this.strokes.find(s => s.id === t.id);
+        if (!target || target.points === t.before) return; // Click without drag
+
+        const after = { points: target.points };
+        this.commit({ op: 'update', id: t.id, changes: after });
+        this.pushHistory({ type: 'update', id: t.id, before: { points: t.before }, after });
+    }
+
+    handleDoubleClick(e) {
+        if (!this.isActive || this.tool !== 'select') return;
+        const target = this.findObjectAt(this.getPoint(e));
+        if (!target || (target.tool !== 'text' && target.tool !== 'sticky')) return;
+
+        const text = prompt('Edit text:', target.text);
+        if (text === null || text === target.text) return;
+
+        this.pushHistory({ type: 'update', id: target.id, before: { text: target.text }, after: { text } });
+        this.commit({ op: 'update', id: target.id, changes: { text } });
+    }
+
+    deleteSelected() {
+        const target = this.strokes.find(s => s.id === this.selectedId);
+        this.selectedId = null;
+        if (!target) return;
+        this.commit({ op: 'remove', ids: [target.id] });
+        this.pushHistory({ type: 'remove', strokes: [target] });
+    }
+
+    addObject(object) {
+        object.id = Math.random().toString(36).substr(2, 9);
+        object.width = 0;
+        this.commit({ op: 'add', stroke: object });
+        this.pushHistory({ type: 'add', strokes: [object] });
+        this.selectedId = object.id;
+    }
+
+    createTextObject(tool, p) {
+        const text = prompt(tool === 'sticky' ? 'Sticky note:' : 'Text:');
+        if (!text) return;
+
+        if (tool === 'sticky') {
+            this.addObject({
+                tool,
+                text,
+                color: '#1a1a1a',
+                fill: STICKY_FILL,
+                points: [p, { x: p.x + 200, y: p.y + 200 }]
+            });
+            return;
+        }
+
+        const fontSize = 12 + this.lineWidth * 2;
+        const lines = text.split('\n');
+        this.ctx.font = `${fontSize}px Inter, sans-serif`;
+        const width = Math.max(...lines.map(l => this.ctx.measureText(l).width), fontSize);
+        this.addObject({
+            tool,
+            text,
+            color: this.color,
+            points: [p, { x: p.x + width, y: p.y + lines.length * fontSize * 1.25 }]
+        });
+    }
+
+    /**
+     * Downscales an image and embeds it as a data URL so it seals and syncs like any stroke
+     */
+    async addImage(file, at) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const ratio = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * ratio);
+            canvas.height = Math.round(bitmap.height * ratio);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            const src = canvas.toDataURL(file.type === 'image/png' ? 'image/png' : 'image/jpeg', 0.85);
+
+            // Place at a sensible on-screen size, centred on the target point
+            const w = canvas.width / Math.max(1, this.scale);
+            const h = canvas.height / Math.max(1, this.scale);
+            this.addObject({
+                tool: 'image',
+                src,
+                points: [{ x: at.x - w / 2, y: at.y - h / 2 }, { x: at.x + w / 2, y: at.y + h / 2 }]
+            });
+        } catch (err) {
+            this.notify('Could not read image', 'error');
+        }
+    }
+
+    viewCenter() {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (rect.width / 2 - this.offsetX) / this.scale,
+            y: (rect.height / 2 - this.offsetY) / this.scale
+        };
+    }
+
+    async exportBoard(format) {
+        try {
+            let blob;
+            if (format === 'png') {
+                blob = await WhiteboardExporter.toPNG(this);
+            } else if (format === 'svg') {
+                blob = new Blob([WhiteboardExporter.toSVG(this.strokes)], { type: 'image/svg+xml' });
+            } else {
+                blob = new Blob([WhiteboardExporter.toJSON(this.strokes)], { type: 'application/json' });
+            }
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `whiteboard-${new Date().toISOString().slice(0, 10)}.${format}`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (err) {
+            this.notify(err.message, 'error');
+        }
+    }
+
+    /**
+     * Posts a PNG of the board as an encrypted image message
+     */
+    async postToChat() {
+        if (!window.chatApp) return;
+        try {
+            const blob = await WhiteboardExporter.toPNG(this);
+            const file = new File([blob], 'whiteboard.png', { type: 'image/png' });
+            await window.chatApp.uploadEncryptedFile(file);
+            this.notify('Canvas posted to chat', 'success');
+        } catch (err) {
+            this.notify(err.message, 'error');
+        }
+    }
+
+    /**
+     * Imports a JSON export as one undoable action, synced to peers like any other restore
+     */
+    async importBoard(file) {
+        try {
+            const strokes = WhiteboardExporter.fromJSON(await file.text());
+            if (!strokes.length) return;
+            this.commit({ op: 'restore', strokes });
+            this.pushHistory({ type: 'add', strokes });
+            this.notify(`Imported ${strokes.length} strokes`, 'success');
+        } catch (err) {
+            this.notify(`Import failed: ${err.message}`, 'error');
+        }
+    }
+
+    notify(message, type) {
+        if (window.chatApp) window.chatApp.showToast(message, type);
+    }
+
+    handleRemoteClear(envelope) {
+        return this.applyRemote('clear', envelope);
+    }
+
+    /**
+     * Hides everything added before this clear; concurrent strokes stamped later survive it
+     */
     clear() {
-        this.strokes = [];
-        this.socket.emit('canvas-clear');
+        if (window.chatApp && !window.chatApp.can('clear-canvas')) {
+            this.notify('Only moderators and the owner can clear the canvas', 'error');
+            return;
+        }
+        this.commit({ op: 'clear' }, 'clear');
     }
 }
@@ -0,0 +1,185 @@
+import { IdentityKeys } from './identity.js';
+import { SafetyNumbers } from './safety.js';
+
+/**
+ * Device Linking
+ * Moves this profile (persistent user id, identity key, owner tokens and the room keys
+ * this tab holds) to another device, so both appear as the same member with the same identity.
+ *
+ * PROTOCOL (relayed by the server, which only sees public keys and ciphertext):
+ * 1. The existing device gets a short one-time code from the server
+ * 2. The new device enters the code and sends a commitment: a hash of its ephemeral
+ *    ECDH P-256 key, not the key itself
+ * 3. Only then does the existing device send its ephemeral key, and only after that
+ *    does the new device reveal its key, which must match the commitment
+ * 4. Both screens show a confirmation number derived from the two keys. Nothing is
+ *    sent until the user confirms they match. As in ZRTP, a server in the middle has
+ *    to fix its stand-in key for each side before it sees that side's real key, so it
+ *    can't search for keys that make the numbers agree: it gets one guess in 10^10
+ * 5. The profile is sealed with AES-GCM under HKDF(ECDH secret, salt = code)
+ */
+
+const ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+const CHANNEL_INFO = 'aes-chat-device-link-v1';
+const COMMITMENT_LABEL = 'aes-chat-device-link-commit-v1';
+const SESSION_ENTRIES = /^aes-(keyring|passphrase)-/;
+const LOCAL_ENTRIES = /^aes-owner-/;
+
+const encoder = new TextEncoder();
+
+export class DeviceLink {
+    /**
+     * Ephemeral key for one linking attempt
+     * @returns {Promise<{privateKey: CryptoKey, publicKey: string}>}
+     */
+    static async generateKeyPair() {
+        const pair = await window.crypto.subtle.generateKey(ALGORITHM, false, ['deriveBits']);
+        const raw = await window.crypto.subtle.exportKey('raw', pair.publicKey);
+        return { privateKey: pair.privateKey, publicKey: window.AESEncryption.arrayBufferToBase64(raw) };
+    }
+
+    /**
+     * Binds the new device to its key before the existing device's key is known
+     * @returns {Promise<string>} base64 SHA-256
+     */
+    static async commitment(publicKey) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${COMMITMENT_LABEL}:${publicKey}`));
+        return window.AESEncryption.arrayBufferToBase64(digest);
+    }
+
+    static async checkCommitment(commitment, publicKey) {
+        return typeof commitment === 'string' && commitment === await this.commitment(publicKey);
+    }
+
+    /**
+     * @returns {Promise<string>} 10 digits, e.g. "04217 88310"
+     */
+    static async confirmationNumber(initiatorKey, joinerKey) {
+        const a = new Uint8Array(window.AESEncryption.base64ToArrayBuffer(initiatorKey));
+        const b = new Uint8Array(window.AESEncryption.base64ToArrayBuffer(joinerKey));
+        const both = new Uint8Array(a.length + b.length);
+        both.set(a);
+        both.set(b, a.length);
+        const { digits } = SafetyNumbers.describe(await SafetyNumbers.digest('aes-chat-device-link-sas-v1', both));
+        return digits.split(' ').slice(0, 2).join(' ');
+    }
+
+    static async channelKey(privateKey, peerPublicKey, code) {
+        const peer = await window.crypto.subtle.importKey(
+            'raw',
+            window.AESEncryption.base64ToArrayBuffer(peerPublicKey),
+            ALGORITHM,
+            false,
+            []
+        );
+        const secret = await window.crypto.subtle.deriveBits({ name: 'ECDH', public: peer }, privateKey, 256);
+        const material = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(code), info: encoder.encode(CHANNEL_INFO) },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static async seal(key, code, value) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const data = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: encoder.encode(code) },
+            key,
+            encoder.encode(JSON.stringify(value))
+        );
+        return { iv: window.AESEncryption.arrayBufferToBase64(iv), data: window.AESEncryption.arrayBufferToBase64(data) };
+    }
+
+    /**
+     * Throws if the payload was altered or sealed under another key
+     */
+    static async open(key, code, sealed) {
+        const plain = await window.crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: new Uint8Array(window.AESEncryption.base64ToArrayBuffer(sealed.iv)),
+                additionalData: encoder.encode(code)
+            },
+            key,
+            window.AESEncryption.base64ToArrayBuffer(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    /**
+     * Everything the new device needs to act as this member
+     */
+    static async exportProfile(userId) {
+        const session = {};
+        for (const name of Object.keys(sessionStorage)) {
+            if (SESSION_ENTRIES.test(name)) session[name] = sessionStorage.getItem(name);
+        }
+        const local = {};
+        for (const name of Object.keys(localStorage)) {
+            if (LOCAL_ENTRIES.test(name)) local[name] = localStorage.getItem(name);
+        }
+        return { userId, identity: await IdentityKeys.export(), session, local };
+    }
+
+    /**
+     * Replaces this device's identity with the linked one. The page must reload afterwards.
+     */
+    static async importProfile(profile) {
+        if (!profile || typeof profile.userId !== 'string' || !profile.identity) {
+            throw new Error('Malformed device profile');
+        }
+        await IdentityKeys.import(profile.identity);
+        localStorage.setItem('aes-persistent-uid', profile.userId);
+        for (const [name, value] of Object.entries(profile.session || {})) {
+            if (SESSION_ENTRIES.test(name)) sessionStorage.setItem(name, value);
+        }
+        for (const [name, value] of Object.entries(profile.local || {})) {
+            if (LOCAL_ENTRIES.test(name)) localStorage.setItem(name, value);
+        }
+    }
+
+    /**
+     * Random per-browser id: devices of one user are told apart (and revoked) by it
+     */
+    static deviceId() {
+        let id = localStorage.getItem('aes-device-id');
+        if (!id) {
+            id = 'd-' + Array.from(window.crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('aes-device-id', id);
+        }
+        return id;
+    }
+
+    /**
+     * Rough label such as "Chrome on Android" for the device list
+     */
+    static deviceName() {
+        const ua = navigator.userAgent;
+        const browser = /Edg\//.test(ua) ? 'Edge'
+            : /Firefox\//.test(ua) ? 'Firefox'
+                : /Chrome\//.test(ua) ? 'Chrome'
+                    : /Safari\//.test(ua) ? 'Safari'
+                        : 'Browser';
+        const os = /Android/.test(ua) ? 'Android'
+            : /iPhone|iPad/.test(ua) ? 'iOS'
+                : /Windows/.test(ua) ? 'Windows'
+                    : /Mac OS X/.test(ua) ? 'macOS'
+                        : /Linux/.test(ua) ? 'Linux'
+                            : 'unknown OS';
+        return `${browser} on ${os}`;
+    }
+
+    /**
+     * Codes are shown as XXXX-XXXX but compared without the dash or case
+     */
+    static normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    static formatCode(code) {
+        return code.replace(/^(.{4})(.+)$/, '$1-$2');
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Encrypted File Transport
+ * Seals attachments in the browser before they reach /api/upload
+ *
+ * FORMAT:
+ * - Every file gets its own random AES-256-GCM key
+ * - The plaintext is split into CHUNK_SIZE pieces, each sealed separately
+ *   with IV = [8-byte file nonce][4-byte chunk index] and the index as AAD
+ * - Blob on the server: [chunk 0 + tag][chunk 1 + tag]...
+ * - Key, nonce, chunk count, name and MIME type are wrapped with the room
+ *   key and travel inside the message's fileData
+ */
+
+const CHUNK_SIZE = 1024 * 1024; // 1MB plaintext per chunk
+const TAG_LENGTH = 16;
+
+export class FileCipher {
+    static get chunkSize() { return CHUNK_SIZE; }
+
+    /**
+     * Encrypts a File with a fresh key
+     * @param {File} file
+     * @param {CryptoKey} roomKey
+     * @returns {Promise<{blob: Blob, encryption: string}>}
+     */
+    static async encryptFile(file, roomKey) {
+        const fileKey = await window.crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const nonce = window.crypto.getRandomValues(new Uint8Array(8));
+        const chunkCount = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+
+        const parts = [];
+        for (let i = 0; i < chunkCount; i++) {
+            const plain = await file.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE).arrayBuffer();
+            const sealed = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: this.chunkIv(nonce, i), additionalData: this.chunkAad(i, chunkCount) },
+                fileKey,
+                plain
+            );
+            parts.push(sealed);
+        }
+
+        // Wrap everything the server must not see with the room key
+        const rawKey = await window.crypto.subtle.exportKey('raw', fileKey);
+        const meta = JSON.stringify({
+            v: 1,
+            key: window.AESEncryption.arrayBufferToBase64(rawKey),
+            nonce: window.AESEncryption.arrayBufferToBase64(nonce),
+            chunks: chunkCount,
+            size: file.size,
+            name: file.name,
+            mimetype: file.type || 'application/octet-stream'
+        });
+
+        return {
+            blob: new Blob(parts, { type: 'application/octet-stream' }),
+            encryption: await window.AESEncryption.encrypt(meta, roomKey)
+        };
+    }
+
+    /**
+     * Unwraps the per-file metadata carried in fileData.encryption
+     * @returns {Promise<object|null>} null if the room key cannot open it
+     */
+    static async unwrapMeta(encryption, roomKey) {
+        if (!roomKey) return null;
+        const json = await window.AESEncryption.decrypt(encryption, roomKey);
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            return null; // decrypt() returns a placeholder string on failure
+        }
+    }
+
+    /**
+     * Downloads and decrypts a sealed upload chunk by chunk
+     * @returns {Promise<Blob>} Plaintext blob typed with the original MIME type
+     */
+    static async decryptFile(url, meta) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Download failed (${response.status})`);
+        const sealed = await response.arrayBuffer();
+
+        const fileKey = await window.crypto.subtle.importKey(
+            'raw',
+            window.AESEncryption.base64ToArrayBuffer(meta.key),
+            { name: 'AES-GCM' },
+            false,
+            ['decrypt']
+        );
+        const nonce = new Uint8Array(window.AESEncryption.base64ToArrayBuffer(meta.nonce));
+
+        const parts = [];
+        const sealedChunk = CHUNK_SIZE + TAG_LENGTH;
+        for (let i = 0; i < meta.chunks; i++) {
+            const start = i * sealedChunk;
+            const chunk = sealed.slice(start, Math.min(start + sealedChunk, sealed.byteLength));
+            // Throws on tampering, truncation or reordering
+            parts.push(await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.chunkIv(nonce, i), additionalData: this.chunkAad(i, meta.chunks) },
+                fileKey,
+                chunk
+            ));
+        }
+
+        if (meta.chunks * sealedChunk < sealed.byteLength) {
+            throw new Error('Unexpected trailing data in encrypted file');
+        }
+
+        return new Blob(parts, { type: meta.mimetype });
+    }
+
+    static chunkIv(nonce, index) {
+        const iv = new Uint8Array(12);
+        iv.set(nonce);
+        new DataView(iv.buffer).setUint32(8, index);
+        return iv;
+    }
+
+    static chunkAad(index, total) {
+        const aad = new Uint8Array(8);
+        const view = new DataView(aad.buffer);
+        view.setUint32(0, index);
+        view.setUint32(4, total);
+        return aad;
+    }
+}
@@ -1,70 +1,135 @@
-import { Kyber768 } from './kem.js';
+import { HybridKEM, KEM_MODES } from './kem.js';
+import { IdentityKeys, TrustStore } from './identity.js';
 
 /**
  * PQC Handshake Manager
  * Manages the transition from ECDH/PSK to Quantum-Resistant Key Exchange
+ *
+ * AUTHENTICATION:
+ * - handshake-init and handshake-response are signed with the sender's long-term identity key
+ * - The response signature covers the joiner's KEM public key, so it can't be replayed to someone else
+ * - Unsigned, badly signed or rejected (changed identity) responses are ignored
+ * - Requests and responses name a key epoch; only members holding that epoch are asked
+ * - Key exchange uses the hybrid X25519 + ML-KEM-768 KEM where both are available
+ * - Every message states its KEM mode (hybrid/pqc/classical), covered by the signature; rooms
+ *   with requirePQC refuse classical exchanges in both directions
+ *
+ * ROTATION:
+ * - Each member publishes a KEM public key at join, signed with their identity key
+ * - When members leave, one holder generates the next epoch's key and encapsulates it
+ *   to every remaining member's KEM key; each bundle is signed for its recipient
  */
 export class HandshakeManager {
     constructor(socket, app) {
         this.socket = socket;
         this.app = app;
         this.myKeyPair = null;
+        this.kemKeyPair = null; // Long-lived for the session: rekeys are encapsulated to it
+        this.kemKey = null;
+        this.kemSignature = null;
     }
 
     /**
-     * Start the PQC Handshake flow
-     * @returns {Promise<CryptoKey>} The shared AES-GCM Room Key
+     * Creates the KEM key published with join-room. Requires the identity key.
      */
-    async initiateHandshake() {
-        console.log('[PQC] Generating Kyber-768 Keypair...');
-        this.myKeyPair = await Kyber768.generateKeyPair();
+    async prepareKemKey() {
+        this.kemKeyPair = await HybridKEM.generateKeyPair();
+        this.kemKey = this.encode(this.kemKeyPair.pk);
+        this.kemSignature = await this.signed(['kem', this.app.roomId, this.app.userId, this.kemKey]);
+    }
+
+    /**
+     * Asks the members holding key `epoch` for it. Never invents a key: if no
+     * holder answers, resolves null and the caller retries later.
+     * @returns {Promise<{key: CryptoKey, epoch: number, mode: string}|null>}
+     */
+    async initiateHandshake(epoch, timeout = 5000) {
+        console.log('[PQC] Generating hybrid X25519 + ML-KEM-768 Keypair...');
+        this.myKeyPair = await HybridKEM.generateKeyPair();
+        const mode = this.myKeyPair.mode;
+        if (!this.allows(mode)) return null;
 
-        return new Promise((resolve, reject) => {
+        return new Promise((resolve) => {
             let completed = false;
+            let verifying = 0; // Responses still being checked hold off the timeout
+            let timer = null;
 
-            // 1. Listen for Handshake Response (someone giving us the key)
-            const onComplete = async (data) => {
+            const finish = (result) => {
                 if (completed) return;
                 completed = true;
+                clearTimeout(timer);
+                this.cleanup();
+                resolve(result);
+            };
+
+            // 1. Listen for Handshake Response (a key holder giving us the key)
+            const onComplete = async (data) => {
+                if (completed) return;
+                if (data.epoch !== epoch) {
+                    console.warn(`[PQC] Ignoring key for epoch ${data.epoch}, expected ${epoch}`);
+                    return;
+                }
+                if (data.mode !== mode) {
+                    console.warn(`[PQC] Ignoring ${data.mode} response to a ${mode} request`);
+                    return;
+                }
 
-                console.log('[PQC] Received Encapsulated Key.');
+                verifying++;
+                const trusted = await this.verifyPeer(data, [
+                    'response',
+                    this.app.roomId,
+                    data.userId,
+                    this.app.userId,
+                    data.epoch,
+                    data.mode,
+                    this.encode(this.myKeyPair.pk),
+                    this.encode(data.ciphertext),
+                    JSON.stringify(data.encryptedKey)
+                ]);
+                verifying--;
+                if (!trusted || completed) return;
+
+                console.log(`[PQC] Received Encapsulated Key (${mode}) from`, data.userName);
                 try {
                     // Decapsulate to get Shared Secret
-                    const sharedSecret = await Kyber768.decapsulate(data.ciphertext, this.myKeyPair.sk);
+                    const sharedSecret = await HybridKEM.decapsulate(data.ciphertext, this.myKeyPair.sk);
 
                     // Use Shared Secret to Decrypt the actual Room Key
                     const roomKey = await this.decryptRoomKey(data.encryptedKey, sharedSecret);
-
-                    this.cleanup();
-                    resolve({ key: roomKey, isCreator: false });
+                    finish({ key: roomKey, epoch, mode });
                 } catch (err) {
                     console.error('[PQC] Decapsulation Failed:', err);
-                    reject(err);
                 }
             };
 
             this.socket.on('handshake-complete', onComplete);
 
-            // 2. Broadcast PK
-            console.log('[PQC] Broadcasting Public Key...');
-            this.socket.emit('handshake-init', { pk: this.myKeyPair.pk });
-
-            // 3. Timeout - If no one answers, we are the Creator
-            setTimeout(async () => {
-                if (!completed) {
-                    completed = true;
-                    console.log('[PQC] No peers found. Becoming Room Creator.');
-                    this.cleanup();
-
-                    // Generate New Random Room Key
-                    const roomKey = await window.crypto.subtle.generateKey(
-                        { name: "AES-GCM", length: 256 },
-                        true,
-                        ["encrypt", "decrypt"]
-                    );
-                    resolve({ key: roomKey, isCreator: true });
+            // 2. Send signed PK; the server routes it to the epoch's holders only
+            console.log('[PQC] Requesting key epoch', epoch);
+            this.signed(['init', this.app.roomId, this.app.userId, epoch, mode, this.encode(this.myKeyPair.pk)])
+                .then(signature => this.socket.emit('handshake-init', {
+                    epoch,
+                    mode,
+                    pk: this.myKeyPair.pk,
+                    identityKey: this.app.identity.publicKey,
+                    signature
+                }, (ack) => {
+                    if (ack && ack.holders === 0) finish(null); // Nobody to ask right now
+                }))
+                .catch((err) => {
+                    console.error('[PQC] Signing failed:', err);
+                    finish(null);
+                });
+
+            // 3. Timeout - no holder answered in time
+            const onTimeout = () => {
+                if (verifying > 0) {
+                    timer = setTimeout(onTimeout, 2000);
+                    return;
                 }
-            }, 2000); // 2 seconds wait time
+                finish(null);
+            };
+            timer = setTimeout(onTimeout, timeout);
         });
     }
 
@@ -72,29 +137,179 @@ export class HandshakeManager {
      * Responds to a new user asking for the key
      */
     async handleHandshakeRequest(data) {
-        // Only respond if we have a key!
-        if (!this.app.encryptionKey) return;
+        // Only respond with the epoch that was asked for
+        const epoch = this.app.keyEpoch;
+        if (!this.app.encryptionKey || data.epoch !== epoch) return;
+
+        // The mode is fixed by the requester's key; a mismatched claim is refused
+        const mode = HybridKEM.modeOf(data.pk);
+        if (data.mode !== mode || !this.allows(mode)) return;
+
+        const trusted = await this.verifyPeer(data, ['init', this.app.roomId, data.userId, data.epoch, mode, this.encode(data.pk)]);
+        if (!trusted) return;
 
         console.log('[PQC] Serving Key to new peer:', data.senderId);
 
         try {
             // 1. Encapsulate (Generate Secret for this specific peer)
-            const result = await Kyber768.encapsulate(data.pk);
+            const result = await HybridKEM.encapsulate(data.pk);
 
             // 2. Encrypt our AES Room Key with this Secret
             const encryptedKey = await this.encryptRoomKey(this.app.encryptionKey, result.sharedSecret);
 
-            // 3. Send back
+            // 3. Sign and send back
+            const signature = await this.signed([
+                'response',
+                this.app.roomId,
+                this.app.userId,
+                data.userId,
+                epoch,
+                result.mode,
+                this.encode(data.pk),
+                this.encode(result.ciphertext),
+                JSON.stringify(encryptedKey)
+            ]);
             this.socket.emit('handshake-response', {
                 targetId: data.senderId,
+                epoch,
+                mode: result.mode,
                 ciphertext: result.ciphertext,
-                encryptedKey: encryptedKey
+                encryptedKey: encryptedKey,
+                identityKey: this.app.identity.publicKey,
+                signature
             });
         } catch (err) {
             console.error('[PQC] Failed to serve key:', err);
         }
     }
 
+    /**
+     * We were picked to rotate the room key: claim the next epoch with a fresh key,
+     * then send it to each remaining member, encapsulated to their published KEM key.
+     * Members we can't verify get no bundle; they can still ask a holder later.
+     * @returns {Promise<boolean>} true if the rotation was claimed
+     */
+    async handleRekeyRequired({ epoch, reason, recipients = [] }) {
+        if (!this.app.encryptionKey || epoch !== this.app.keyEpoch + 1) return false;
+
+        console.log(`[PQC] Rotating room key to epoch ${epoch} (${reason})`);
+        const key = await window.AESEncryption.generateKey();
+        const claim = await this.app.claimKey(epoch, key);
+        if (!claim.ok) return false;
+
+        const bundles = [];
+        for (const peer of recipients) {
+            const trusted = await this.verifyPeer(
+                { ...peer, signature: peer.kemSignature },
+                ['kem', this.app.roomId, peer.userId, peer.kemKey]
+            );
+            if (!trusted) continue;
+
+            const peerKey = window.AESEncryption.base64ToArrayBuffer(peer.kemKey);
+            if (!this.allows(HybridKEM.modeOf(peerKey))) continue;
+
+            try {
+                const result = await HybridKEM.encapsulate(peerKey);
+                const encryptedKey = await this.encryptRoomKey(key, result.sharedSecret);
+                const signature = await this.signed([
+                    'rekey',
+                    this.app.roomId,
+                    this.app.userId,
+                    peer.userId,
+                    epoch,
+                    result.mode,
+                    peer.kemKey,
+                    this.encode(result.ciphertext),
+                    JSON.stringify(encryptedKey)
+                ]);
+                bundles.push({ socketId: peer.socketId, mode: result.mode, ciphertext: result.ciphertext, encryptedKey, signature });
+            } catch (err) {
+                console.error('[PQC] Failed to encapsulate rekey for', peer.userName, err);
+            }
+        }
+
+        this.socket.emit('rekey-distribute', { epoch, bundles });
+        return true;
+    }
+
+    /**
+     * Opens a rekey bundle addressed to our KEM key
+     * @returns {Promise<CryptoKey|null>}
+     */
+    async handleRekeyBundle(data) {
+        if (!this.kemKeyPair || data.epoch <= this.app.keyEpoch) return null;
+        if (data.mode !== this.kemKeyPair.mode || !this.allows(data.mode)) return null;
+
+        const trusted = await this.verifyPeer(data, [
+            'rekey',
+            this.app.roomId,
+            data.userId,
+            this.app.userId,
+            data.epoch,
+            data.mode,
+            this.kemKey,
+            this.encode(data.ciphertext),
+            JSON.stringify(data.encryptedKey)
+        ]);
+        if (!trusted) return null;
+
+        try {
+            const sharedSecret = await HybridKEM.decapsulate(data.ciphertext, this.kemKeyPair.sk);
+            return await this.decryptRoomKey(data.encryptedKey, sharedSecret);
+        } catch (err) {
+            console.error('[PQC] Failed to open rekey bundle:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Checks a peer's signature over the transcript, then their key against the trust store.
+     * A changed identity key is only accepted if the user confirms it.
+     * @returns {Promise<boolean>}
+     */
+    async verifyPeer(data, parts) {
+        if (!data.identityKey || !data.signature || !data.userId) {
+            console.warn('[PQC] Ignoring unsigned handshake from', data.senderId || 'peer');
+            return false;
+        }
+
+        const valid = await IdentityKeys.verify(data.identityKey, data.signature, this.transcript(parts));
+        if (!valid) {
+            console.warn('[PQC] Bad handshake signature from', data.userName || data.userId);
+            return false;
+        }
+
+        const { status, record } = await TrustStore.check(data.userId, data.identityKey);
+        if (status !== 'changed') return true;
+
+        const fingerprint = await IdentityKeys.fingerprint(data.identityKey);
+        if (!this.app.confirmIdentityChange(data.userName, record.fingerprint, fingerprint)) return false;
+        await TrustStore.accept(data.userId, data.identityKey);
+        return true;
+    }
+
+    /**
+     * Room policy check: with requirePQC on, classical-only exchanges are refused
+     */
+    allows(mode) {
+        if (mode !== KEM_MODES.CLASSICAL || !this.app.roomSettings?.requirePQC) return true;
+        console.warn('[PQC] Refusing classical key exchange: this room requires post-quantum');
+        return false;
+    }
+
+    signed(parts) {
+        return IdentityKeys.sign(this.app.identity, this.transcript(parts));
+    }
+
+    // Domain-separated, unambiguous encoding of the signed fields
+    transcript(parts) {
+        return new TextEncoder().encode(JSON.stringify(['aes-chat-handshake-v1', ...parts]));
+    }
+
+    encode(buffer) {
+        return window.AESEncryption.arrayBufferToBase64(buffer);
+    }
+
     // Helper: Wrap AES Key with KEM Secret
     async encryptRoomKey(roomKey, sharedSecret) {
         // Import sharedSecret as AES-KW or AES-GCM key
@@ -0,0 +1,168 @@
+import { IDBStore } from '../storage/idb.js';
+
+/**
+ * Long-Term Identity Keys
+ * Every browser profile owns one ECDSA P-256 signing key, kept in IndexedDB.
+ * Handshake messages are signed with it so a joiner only accepts a room key
+ * from someone whose identity it can check.
+ *
+ * TRUST MODEL (trust on first use):
+ * - The first key seen for a userId is pinned
+ * - A different key later is reported as 'changed' and must be accepted explicitly
+ * - Keys compared out of band can be marked verified; accepting a change clears that
+ */
+
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+const identityStore = new IDBStore('aes-chat-identity');
+const trustStore = new IDBStore('aes-chat-trust');
+
+export class IdentityKeys {
+    /**
+     * Loads this profile's identity, creating it on first use
+     * @returns {Promise<{privateKey: CryptoKey, publicKey: string, fingerprint: string}>}
+     */
+    static async load() {
+        let stored = await identityStore.get('identity');
+        if (!stored) {
+            console.log('[ID] Generating long-term identity key...');
+            // Extractable so the identity can be moved to another device
+            const pair = await window.crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+            const raw = await window.crypto.subtle.exportKey('raw', pair.publicKey);
+            stored = {
+                privateKey: pair.privateKey,
+                publicKey: window.AESEncryption.arrayBufferToBase64(raw),
+                createdAt: Date.now()
+            };
+            await identityStore.set('identity', stored);
+        }
+        return { ...stored, fingerprint: await this.fingerprint(stored.publicKey) };
+    }
+
+    /**
+     * Serializes the identity for device linking (PKCS#8 private key, base64)
+     */
+    static async export() {
+        const stored = await this.load();
+        const pkcs8 = await window.crypto.subtle.exportKey('pkcs8', stored.privateKey);
+        return {
+            privateKey: window.AESEncryption.arrayBufferToBase64(pkcs8),
+            publicKey: stored.publicKey,
+            createdAt: stored.createdAt
+        };
+    }
+
+    /**
+     * Replaces this profile's identity with one exported from a linked device
+     */
+    static async import(exported) {
+        const privateKey = await window.crypto.subtle.importKey(
+            'pkcs8',
+            window.AESEncryption.base64ToArrayBuffer(exported.privateKey),
+            KEY_ALGORITHM,
+            true,
+            ['sign']
+        );
+        // The published key must belong to the private key, or peers would pin the wrong one
+        const probe = new TextEncoder().encode('aes-chat-identity-import');
+        if (!(await this.verify(exported.publicKey, await this.sign({ privateKey }, probe), probe))) {
+            throw new Error('Identity key pair does not match');
+        }
+        await identityStore.set('identity', {
+            privateKey,
+            publicKey: exported.publicKey,
+            createdAt: exported.createdAt || Date.now()
+        });
+    }
+
+    /**
+     * Deletes the identity (a revoked device). A new one is generated on next load.
+     */
+    static forget() {
+        return identityStore.delete('identity');
+    }
+
+    /**
+     * @returns {Promise<string>} base64 signature
+     */
+    static async sign(identity, bytes) {
+        const signature = await window.crypto.subtle.sign(SIGN_ALGORITHM, identity.privateKey, bytes);
+        return window.AESEncryption.arrayBufferToBase64(signature);
+    }
+
+    /**
+     * @returns {Promise<boolean>} false on a bad signature or malformed key
+     */
+    static async verify(publicKey, signature, bytes) {
+        try {
+            const key = await window.crypto.subtle.importKey(
+                'raw',
+                window.AESEncryption.base64ToArrayBuffer(publicKey),
+                KEY_ALGORITHM,
+                false,
+                ['verify']
+            );
+            return await window.crypto.subtle.verify(
+                SIGN_ALGORITHM,
+                key,
+                window.AESEncryption.base64ToArrayBuffer(signature),
+                bytes
+            );
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * SHA-256 of the raw public key as grouped hex, e.g. "3F2A 91C0 ..."
+     */
+    static async fingerprint(publicKey) {
+        const digest = await window.crypto.subtle.digest(
+            'SHA-256',
+            window.AESEncryption.base64ToArrayBuffer(publicKey)
+        );
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return hex.slice(0, 40).match(/.{4}/g).join(' ');
+    }
+}
+
+export class TrustStore {
+    /**
+     * Checks a peer's identity key against the pinned one. Unknown peers are pinned now.
+     * @returns {Promise<{status: 'new'|'trusted'|'changed', record: object}>}
+     */
+    static async check(userId, publicKey) {
+        const record = await trustStore.get(userId);
+        if (!record) {
+            return { status: 'new', record: await this.accept(userId, publicKey) };
+        }
+        if (record.publicKey === publicKey) return { status: 'trusted', record };
+        return { status: 'changed', record };
+    }
+
+    /**
+     * Pins a key for a peer (first use, or the user accepted a change)
+     */
+    static async accept(userId, publicKey) {
+        const record = {
+            publicKey,
+            fingerprint: await IdentityKeys.fingerprint(publicKey),
+            firstSeen: Date.now()
+        };
+        await trustStore.set(userId, record);
+        return record;
+    }
+
+    static async setVerified(userId, verified) {
+        const record = await trustStore.get(userId);
+        if (!record) return null;
+        record.verified = verified;
+        await trustStore.set(userId, record);
+        return record;
+    }
+
+    static get(userId) {
+        return trustStore.get(userId);
+    }
+}
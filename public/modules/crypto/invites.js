@@ -0,0 +1,84 @@
+/**
+ * Keyed Invite Links
+ * An invite link can carry the room key so a joiner can decrypt without waiting
+ * for an online member to answer the handshake.
+ *
+ * FORMAT: /room/<roomId>#key=<token>.<secret>
+ * - The fragment is never sent to the server
+ * - The link does NOT hold the room key itself: the key is wrapped with `secret`
+ *   and the wrapped copy is stored on the server under `token`
+ * - The server hands the wrapped key out only while the invite is unexpired and
+ *   has uses left, so a leaked link stops working once it expires or is used
+ * - The wrap is bound to (room, token, epoch) so it can't be replayed elsewhere
+ */
+
+const encoder = new TextEncoder();
+
+export class InviteLinks {
+    /**
+     * Wraps the room key under a fresh secret for a new invite
+     * @returns {Promise<{token: string, secret: string, wrappedKey: string}>}
+     */
+    static async create(roomId, epoch, roomKey) {
+        const token = this.randomId();
+        const secret = this.randomId(32);
+        const wrapKey = await this.importSecret(secret);
+
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const raw = await window.crypto.subtle.exportKey('raw', roomKey);
+        const sealed = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.context(roomId, token, epoch) },
+            wrapKey,
+            raw
+        );
+
+        const combined = new Uint8Array(iv.length + sealed.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(sealed), iv.length);
+        return { token, secret, wrappedKey: window.AESEncryption.arrayBufferToBase64(combined) };
+    }
+
+    /**
+     * @returns {Promise<CryptoKey>} Throws if the secret is wrong or the wrap was altered
+     */
+    static async open(roomId, token, secret, epoch, wrappedKey) {
+        const wrapKey = await this.importSecret(secret);
+        const combined = new Uint8Array(window.AESEncryption.base64ToArrayBuffer(wrappedKey));
+        const raw = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: combined.slice(0, 12), additionalData: this.context(roomId, token, epoch) },
+            wrapKey,
+            combined.slice(12)
+        );
+        return window.crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    static link(roomId, token, secret) {
+        return `${window.location.origin}/room/${roomId}#key=${token}.${secret}`;
+    }
+
+    /**
+     * @returns {{token: string, secret: string}|null}
+     */
+    static parse(hash) {
+        const match = /^#key=([A-Za-z0-9_-]{16,64})\.([A-Za-z0-9_-]{32,64})$/.exec(hash || '');
+        return match ? { token: match[1], secret: match[2] } : null;
+    }
+
+    static importSecret(secret) {
+        return window.crypto.subtle.importKey('raw', this.fromBase64Url(secret), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    static context(roomId, token, epoch) {
+        return encoder.encode(`aes-chat-invite-v1:${roomId}:${token}:${epoch}`);
+    }
+
+    static randomId(bytes = 16) {
+        const b64 = window.AESEncryption.arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(bytes)));
+        return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(value) {
+        const b64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        return window.AESEncryption.base64ToArrayBuffer(b64 + '='.repeat((4 - b64.length % 4) % 4));
+    }
+}
@@ -1,63 +1,105 @@
 /**
- * Kyber-768 Post-Quantum KEM Implementation (Interface Wrapper)
- * 
- * This module implements the Key Encapsulation Mechanism (KEM) API.
- * Currently backed by ECDH (P-256) for demonstration of the KEM architecture
- * until the WASM binary is loaded.
- * 
+ * ML-KEM-768 Key Encapsulation (FIPS 203)
+ *
+ * Backed by the `mlkem` package, served from our own origin at /vendor/mlkem
+ * (see server.js) - never from a CDN. If the module can't be loaded, the
+ * classical P-384 ECDH KEM below is used instead, and every result says so.
+ *
  * KEM FLOW:
  * 1. KeyGen() -> (PK, SK)
  * 2. Encaps(PK) -> (Ciphertext, SharedSecret)
  * 3. Decaps(Ciphertext, SK) -> SharedSecret
+ *
+ * MODES (reported with every key pair, encapsulation and handshake):
+ * - 'pqc':       ML-KEM-768
+ * - 'classical': ECDH P-384 only, NOT quantum resistant
+ * - 'hybrid':    X25519 + ML-KEM-768 combined (HybridKEM, the default where both are available)
  */
 
+const MLKEM_MODULE = '/vendor/mlkem/mod.js';
+const MLKEM768_PUBLIC_KEY_BYTES = 1184;
+const X25519_PUBLIC_KEY_BYTES = 32;
+const HYBRID_LABEL = 'aes-chat-hybrid-kem-v1:x25519+ml-kem-768';
+
+export const KEM_MODES = Object.freeze({
+    PQC: 'pqc',
+    CLASSICAL: 'classical',
+    HYBRID: 'hybrid'
+});
+
+let enginePromise = null;
+let x25519Promise = null;
+
+// Copies a view into its own ArrayBuffer (views from the engine may share a larger buffer)
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
 export class Kyber768 {
-    static get algorithm() { return "Kyber-768-KEM-Draft"; }
+    static get algorithm() { return "ML-KEM-768"; }
+
+    /**
+     * Loads the ML-KEM engine once
+     * @returns {Promise<object|null>} null if the module is unavailable
+     */
+    static engine() {
+        if (!enginePromise) {
+            enginePromise = import(MLKEM_MODULE)
+                .then(({ createMlKem768 }) => createMlKem768())
+                .catch((e) => {
+                    console.warn('[PQC] ML-KEM module unavailable, only classical ECDH can be used', e);
+                    return null;
+                });
+        }
+        return enginePromise;
+    }
 
     /**
-     * Generates a Keypair (Uses Standard ML-KEM if available, else Fallback)
-     * @returns {Promise<{pk: ArrayBuffer, sk: any}>}
+     * @returns {Promise<string>} The mode new key pairs will use
+     */
+    static async mode() {
+        return (await this.engine()) ? KEM_MODES.PQC : KEM_MODES.CLASSICAL;
+    }
+
+    /**
+     * The mode a public key was generated for. ML-KEM-768 keys have a fixed size.
+     */
+    static modeOf(publicKey) {
+        return publicKey.byteLength === MLKEM768_PUBLIC_KEY_BYTES ? KEM_MODES.PQC : KEM_MODES.CLASSICAL;
+    }
+
+    /**
+     * Generates a Keypair (ML-KEM-768 if the engine loaded, else ECDH P-384)
+     * @returns {Promise<{pk: ArrayBuffer, sk: any, mode: string}>}
      */
     static async generateKeyPair() {
-        if (window.mlkem) {
-            try {
-                console.log('[PQC] Using NIST ML-KEM Engine');
-                // Assuming standard API: pk, sk = Kyber.KeyGen()
-                // You might need to adjust based on the specific library export
-                const keys = await window.mlkem.generateKeyPair768();
-                return { pk: keys.pk.buffer, sk: keys.sk.buffer }; // Ensure ArrayBuffer
-            } catch (e) {
-                console.warn('[PQC] ML-KEM keygen failed, using ECDH Shim', e);
-            }
+        const engine = await this.engine();
+        if (engine) {
+            console.log('[PQC] Using ML-KEM-768');
+            const [pk, sk] = engine.generateKeyPair();
+            return { pk: toBuffer(pk), sk, mode: KEM_MODES.PQC };
         }
 
-        console.log('[PQC] Using ECDH Shim (Kyber Simulation)');
+        console.warn('[PQC] Using classical ECDH P-384 (not post-quantum)');
         const pair = await window.crypto.subtle.generateKey(
-            { name: "ECDH", namedCurve: "P-384" }, // High security curve
+            { name: "ECDH", namedCurve: "P-384" },
             true,
             ["deriveBits"]
         );
 
-        // Export Public Key to raw bytes (simulation of Kyber PK)
         const pk = await window.crypto.subtle.exportKey("raw", pair.publicKey);
-        return { pk, sk: pair.privateKey };
+        return { pk, sk: pair.privateKey, mode: KEM_MODES.CLASSICAL };
     }
 
     /**
-     * Encapsulates a shared secret
-     * @param {ArrayBuffer} recipientPublicKey 
-     * @returns {Promise<{ciphertext: ArrayBuffer, sharedSecret: ArrayBuffer}>}
+     * Encapsulates a shared secret. The mode follows the recipient's key.
+     * @param {ArrayBuffer} recipientPublicKey
+     * @returns {Promise<{ciphertext: ArrayBuffer, sharedSecret: ArrayBuffer, mode: string}>}
      */
     static async encapsulate(recipientPublicKey) {
-        if (window.mlkem) {
-            try {
-                const pkArray = new Uint8Array(recipientPublicKey);
-                const result = await window.mlkem.encapsulate768(pkArray);
-                return {
-                    ciphertext: result.ciphertext.buffer,
-                    sharedSecret: result.sharedSecret.buffer
-                };
-            } catch (e) { console.warn('ML-KEM Encaps failed', e); }
+        if (this.modeOf(recipientPublicKey) === KEM_MODES.PQC) {
+            const engine = await this.engine();
+            if (!engine) throw new Error('Peer uses ML-KEM but the engine is unavailable');
+            const [ciphertext, sharedSecret] = engine.encap(new Uint8Array(recipientPublicKey));
+            return { ciphertext: toBuffer(ciphertext), sharedSecret: toBuffer(sharedSecret), mode: KEM_MODES.PQC };
         }
 
         // 1. Import Recipient PK
@@ -83,31 +125,27 @@ export class Kyber768 {
             256
         );
 
-        // 4. Create "Ciphertext" (Ephemeral Public Key)
-        // In real Kyber, ciphertext is the lattice vector. 
-        // In this sim, it's the ephemeral public key required to complete DH.
+        // 4. The "ciphertext" is the ephemeral public key needed to complete DH
         const ciphertext = await window.crypto.subtle.exportKey("raw", ephemeral.publicKey);
 
         return {
             ciphertext: ciphertext,
-            sharedSecret: sharedBits // 32 bytes
+            sharedSecret: sharedBits, // 32 bytes
+            mode: KEM_MODES.CLASSICAL
         };
     }
 
     /**
      * Decapsulates the shared secret
-     * @param {ArrayBuffer} ciphertext 
-     * @param {any} privateKey 
+     * @param {ArrayBuffer} ciphertext
+     * @param {Uint8Array|CryptoKey} privateKey - ML-KEM secret key bytes, or an ECDH key
      * @returns {Promise<ArrayBuffer>} Shared Secret
      */
     static async decapsulate(ciphertext, privateKey) {
-        if (window.mlkem) {
-            try {
-                const skArray = new Uint8Array(privateKey);
-                const ctArray = new Uint8Array(ciphertext);
-                const sharedSecret = await window.mlkem.decapsulate768(ctArray, skArray);
-                return sharedSecret.buffer;
-            } catch (e) { console.warn('ML-KEM Decaps failed', e); }
+        if (privateKey instanceof Uint8Array) {
+            const engine = await this.engine();
+            if (!engine) throw new Error('ML-KEM engine unavailable');
+            return toBuffer(engine.decap(new Uint8Array(ciphertext), privateKey));
         }
 
         // 1. Import Ephemeral PK (from ciphertext)
@@ -129,3 +167,140 @@ export class Kyber768 {
         return sharedBits;
     }
 }
+
+/**
+ * Hybrid KEM: X25519 and ML-KEM-768 side by side, so the shared secret stays
+ * safe unless BOTH are broken.
+ *
+ * WIRE FORMAT:
+ * - pk = X25519 pk (32) || ML-KEM pk (1184)
+ * - ct = ephemeral X25519 pk (32) || ML-KEM ct (1088)
+ * - ss = HKDF-SHA256(ikm = ss_mlkem || ss_x25519, info = label || SHA-256(pk || ct))
+ *
+ * Binding pk and ct into the derivation means a secret can't be carried over
+ * to a different key or ciphertext. Falls back to Kyber768 (pqc or classical,
+ * whichever is available) when either half is missing; the result's mode says which.
+ */
+export class HybridKEM {
+    static get algorithm() { return "X25519+ML-KEM-768"; }
+
+    /**
+     * Whether this browser's WebCrypto implements X25519
+     * @returns {Promise<boolean>}
+     */
+    static x25519() {
+        if (!x25519Promise) {
+            x25519Promise = window.crypto.subtle.generateKey({ name: 'X25519' }, false, ['deriveBits'])
+                .then(() => true)
+                .catch(() => {
+                    console.warn('[PQC] X25519 unsupported, hybrid mode unavailable');
+                    return false;
+                });
+        }
+        return x25519Promise;
+    }
+
+    static async mode() {
+        const [engine, x25519] = await Promise.all([Kyber768.engine(), this.x25519()]);
+        return engine && x25519 ? KEM_MODES.HYBRID : Kyber768.mode();
+    }
+
+    static modeOf(publicKey) {
+        return publicKey.byteLength === X25519_PUBLIC_KEY_BYTES + MLKEM768_PUBLIC_KEY_BYTES
+            ? KEM_MODES.HYBRID
+            : Kyber768.modeOf(publicKey);
+    }
+
+    /**
+     * @returns {Promise<{pk: ArrayBuffer, sk: any, mode: string}>}
+     */
+    static async generateKeyPair() {
+        if (await this.mode() !== KEM_MODES.HYBRID) return Kyber768.generateKeyPair();
+
+        console.log('[PQC] Using hybrid X25519 + ML-KEM-768');
+        const ecdh = await window.crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const ecdhPk = await window.crypto.subtle.exportKey('raw', ecdh.publicKey);
+        const kem = await Kyber768.generateKeyPair();
+
+        return {
+            pk: concat(ecdhPk, kem.pk),
+            sk: { x25519: ecdh.privateKey, mlkem: kem.sk, pk: concat(ecdhPk, kem.pk) },
+            mode: KEM_MODES.HYBRID
+        };
+    }
+
+    /**
+     * @param {ArrayBuffer} recipientPublicKey
+     * @returns {Promise<{ciphertext: ArrayBuffer, sharedSecret: ArrayBuffer, mode: string}>}
+     */
+    static async encapsulate(recipientPublicKey) {
+        if (this.modeOf(recipientPublicKey) !== KEM_MODES.HYBRID) return Kyber768.encapsulate(recipientPublicKey);
+        if (!(await this.x25519())) throw new Error('Peer uses hybrid KEM but X25519 is unavailable');
+
+        const ecdhPk = recipientPublicKey.slice(0, X25519_PUBLIC_KEY_BYTES);
+        const kemPk = recipientPublicKey.slice(X25519_PUBLIC_KEY_BYTES);
+
+        // X25519 half: an ephemeral key agreed against the recipient's static key
+        const peer = await window.crypto.subtle.importKey('raw', ecdhPk, { name: 'X25519' }, false, []);
+        const ephemeral = await window.crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const ecdhSecret = await window.crypto.subtle.deriveBits({ name: 'X25519', public: peer }, ephemeral.privateKey, 256);
+        const ephemeralPk = await window.crypto.subtle.exportKey('raw', ephemeral.publicKey);
+
+        const kem = await Kyber768.encapsulate(kemPk);
+        if (kem.mode !== KEM_MODES.PQC) throw new Error('Hybrid key carries a non ML-KEM component');
+
+        const ciphertext = concat(ephemeralPk, kem.ciphertext);
+        return {
+            ciphertext,
+            sharedSecret: await this.combine(kem.sharedSecret, ecdhSecret, recipientPublicKey, ciphertext),
+            mode: KEM_MODES.HYBRID
+        };
+    }
+
+    /**
+     * @param {ArrayBuffer} ciphertext
+     * @param {object} privateKey - hybrid secret key, or a Kyber768 one
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async decapsulate(ciphertext, privateKey) {
+        if (!privateKey || !privateKey.x25519) return Kyber768.decapsulate(ciphertext, privateKey);
+
+        const ephemeralPk = ciphertext.slice(0, X25519_PUBLIC_KEY_BYTES);
+        const kemCt = ciphertext.slice(X25519_PUBLIC_KEY_BYTES);
+
+        const peer = await window.crypto.subtle.importKey('raw', ephemeralPk, { name: 'X25519' }, false, []);
+        const ecdhSecret = await window.crypto.subtle.deriveBits({ name: 'X25519', public: peer }, privateKey.x25519, 256);
+        const kemSecret = await Kyber768.decapsulate(kemCt, privateKey.mlkem);
+
+        return this.combine(kemSecret, ecdhSecret, privateKey.pk, ciphertext);
+    }
+
+    /**
+     * HKDF-SHA256 over both secrets, bound to the full public key and ciphertext.
+     * The transcript is hashed first: some HKDF implementations cap info at 1024 bytes.
+     */
+    static async combine(kemSecret, ecdhSecret, publicKey, ciphertext) {
+        const transcript = await window.crypto.subtle.digest('SHA-256', concat(publicKey, ciphertext));
+        const ikm = await window.crypto.subtle.importKey('raw', concat(kemSecret, ecdhSecret), 'HKDF', false, ['deriveBits']);
+        return window.crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(0),
+                info: concat(new TextEncoder().encode(HYBRID_LABEL), transcript)
+            },
+            ikm,
+            256
+        );
+    }
+}
+
+function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(new Uint8Array(part), offset);
+        offset += part.byteLength;
+    }
+    return out.buffer;
+}
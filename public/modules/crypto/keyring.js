@@ -0,0 +1,129 @@
+/**
+ * Room Keyring
+ * Room keys are numbered by epoch. The server only ever sees an epoch number and
+ * a fingerprint, which is enough to tell whether two members hold the same key.
+ *
+ * STORAGE:
+ * - sessionStorage `aes-keyring-${roomId}`: { epoch, keys: { [epoch]: base64 } }
+ * - A bare `aes-key-${roomId}` from older sessions is picked up with epoch 0 (unknown)
+ *
+ * ROTATION:
+ * - Older epochs are kept after a rotation so history sealed under them still opens
+ */
+
+export class RoomKeyring {
+    constructor(roomId) {
+        this.roomId = roomId;
+        this.epoch = 0;
+        this.keys = new Map(); // epoch -> CryptoKey
+    }
+
+    get storageKey() {
+        return `aes-keyring-${this.roomId}`;
+    }
+
+    get current() {
+        return this.keys.get(this.epoch) || null;
+    }
+
+    get(epoch) {
+        return this.keys.get(epoch) || null;
+    }
+
+    /**
+     * @returns {Promise<{epoch: number, key: CryptoKey}|null>} The current key, if this session had one
+     */
+    async restore() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.storageKey) || 'null');
+            if (stored) {
+                await this.load(stored);
+            } else {
+                const legacy = sessionStorage.getItem(`aes-key-${this.roomId}`);
+                if (!legacy) return null;
+                this.keys.set(0, await window.AESEncryption.importKey(legacy));
+                this.epoch = 0;
+            }
+        } catch (e) {
+            console.error('[KEYS] Failed to restore keyring', e);
+            this.clear();
+            return null;
+        }
+        return this.current ? { epoch: this.epoch, key: this.current } : null;
+    }
+
+    /**
+     * Records a key and makes its epoch current
+     */
+    async set(epoch, key) {
+        this.keys.delete(0); // An unknown-epoch key is superseded once the epoch is known
+        this.keys.set(epoch, key);
+        this.epoch = epoch;
+        await this.save();
+    }
+
+    /**
+     * Records an older epoch's key (for history) without changing the current one
+     */
+    async add(epoch, key) {
+        if (this.keys.has(epoch)) return;
+        this.keys.set(epoch, key);
+        await this.save();
+    }
+
+    /**
+     * Drops one epoch's key (it turned out to be a fork)
+     */
+    async forget(epoch) {
+        this.keys.delete(epoch);
+        if (epoch === this.epoch) this.epoch = 0;
+        await this.save();
+    }
+
+    async save() {
+        sessionStorage.setItem(this.storageKey, JSON.stringify(await this.export()));
+        sessionStorage.removeItem(`aes-key-${this.roomId}`);
+    }
+
+    /**
+     * @returns {Promise<{epoch: number, keys: Object<number, string>}>} The stored form (raw keys, base64)
+     */
+    async export() {
+        const keys = {};
+        for (const [epoch, key] of this.keys) {
+            keys[epoch] = await window.AESEncryption.exportKey(key);
+        }
+        return { epoch: this.epoch, keys };
+    }
+
+    /**
+     * Imports the form `export()` produces (e.g. from the offline cache) and saves it for this session
+     */
+    async load(stored) {
+        for (const [epoch, raw] of Object.entries(stored.keys)) {
+            this.keys.set(Number(epoch), await window.AESEncryption.importKey(raw));
+        }
+        this.epoch = stored.epoch;
+    }
+
+    clear() {
+        this.keys.clear();
+        this.epoch = 0;
+        sessionStorage.removeItem(this.storageKey);
+        sessionStorage.removeItem(`aes-key-${this.roomId}`);
+    }
+
+    /**
+     * Public commitment to (room, epoch, key): domain separated, so it says nothing about the key
+     * @returns {Promise<string>} base64 of the first 16 bytes of SHA-256
+     */
+    static async fingerprint(roomId, epoch, key) {
+        const raw = new Uint8Array(await window.crypto.subtle.exportKey('raw', key));
+        const label = new TextEncoder().encode(`aes-chat-key-epoch-v1:${roomId}:${epoch}\0`);
+        const input = new Uint8Array(label.length + raw.length);
+        input.set(label);
+        input.set(raw, label.length);
+        const digest = await window.crypto.subtle.digest('SHA-256', input);
+        return window.AESEncryption.arrayBufferToBase64(digest.slice(0, 16));
+    }
+}
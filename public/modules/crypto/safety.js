@@ -0,0 +1,66 @@
+/**
+ * Safety Numbers
+ * Human-comparable digests of key material, read aloud or compared side by side.
+ *
+ * - Member fingerprint: SHA-256 of the member's identity key. Their own
+ *   screen shows the same code, so two people can compare it out of band.
+ * - Room safety number: SHA-256 of the room key (domain separated, so it reveals
+ *   nothing usable). Identical for everyone who holds the same room key.
+ */
+
+// 64 visually distinct emoji: one per 6 bits
+const EMOJI = [
+    '🐶', '🐱', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁',
+    '🐮', '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🦉',
+    '🐴', '🦄', '🐝', '🐞', '🦋', '🐢', '🐍', '🐙',
+    '🐬', '🐳', '🦈', '🦀', '🌵', '🌲', '🌻', '🍄',
+    '🍎', '🍌', '🍇', '🍓', '🍒', '🍍', '🥕', '🌽',
+    '🍕', '🍩', '🍪', '🎂', '☕', '⚽', '🏀', '🎸',
+    '🎲', '🚀', '🚲', '⛵', '✈️', '🏠', '⏰', '💡',
+    '🔑', '🔔', '🎁', '📷', '⭐', '🌙', '🔥', '❄️'
+];
+
+export class SafetyNumbers {
+    /**
+     * @param {string} publicKey - base64 identity key
+     */
+    static async forIdentity(publicKey) {
+        return this.describe(await this.digest('aes-chat-identity-v1', window.AESEncryption.base64ToArrayBuffer(publicKey)));
+    }
+
+    /**
+     * @param {CryptoKey} roomKey - must be extractable
+     */
+    static async forRoom(roomId, roomKey) {
+        const raw = await window.crypto.subtle.exportKey('raw', roomKey);
+        return this.describe(await this.digest(`aes-chat-room-v1:${roomId}`, raw));
+    }
+
+    static async digest(label, bytes) {
+        const prefix = new TextEncoder().encode(label + '\0');
+        const input = new Uint8Array(prefix.length + bytes.byteLength);
+        input.set(prefix);
+        input.set(new Uint8Array(bytes), prefix.length);
+        return new Uint8Array(await window.crypto.subtle.digest('SHA-256', input));
+    }
+
+    /**
+     * @returns {{emoji: string, digits: string}} 8 emoji and 30 digits in groups of 5
+     */
+    static describe(hash) {
+        const emoji = [];
+        for (let i = 0; i < 8; i++) {
+            // 6 bits per emoji, taken from consecutive 3-byte blocks
+            const block = (hash[Math.floor(i / 4) * 3] << 16) | (hash[Math.floor(i / 4) * 3 + 1] << 8) | hash[Math.floor(i / 4) * 3 + 2];
+            emoji.push(EMOJI[(block >> (18 - (i % 4) * 6)) & 63]);
+        }
+
+        const groups = [];
+        for (let i = 0; i < 6; i++) {
+            const chunk = ((hash[8 + i * 4] << 24) | (hash[9 + i * 4] << 16) | (hash[10 + i * 4] << 8) | hash[11 + i * 4]) >>> 0;
+            groups.push(String(chunk % 100000).padStart(5, '0'));
+        }
+
+        return { emoji: emoji.join(' '), digits: groups.join(' ') };
+    }
+}
@@ -3,12 +3,12 @@
  * Implementation of Post-Quantum E2EE Audio/Video Calls
  * 
  * DESIGN PRINCIPLES:
- * 1. PQC-KEM: Key agreement via ML-KEM/Kyber768
+ * 1. PQC-KEM: Key agreement via hybrid X25519 + ML-KEM-768 (a classical fallback is reported, and refused under requirePQC)
  * 2. Double-Layer Encryption: Standard WebRTC DTLS-SRTP + AES-256-GCM Insertable Streams
  * 3. Zero-Persistence: Keys shredded in RAM post-call
  */
 
-import { Kyber768 } from '../crypto/kem.js';
+import { HybridKEM, KEM_MODES } from '../crypto/kem.js';
 
 class FrameEncryptor {
     constructor(key) {
@@ -89,6 +89,8 @@ export class SovereignCallManager {
         this.mediaKey = null;
         this.targetId = null;
         this.isInitiator = false;
+        this.kemMode = null; // KEM mode of the current call's media key
+        this.requirePQC = false; // Room policy: refuse classical-only key exchange
 
         this.onStreamUpdate = null; // Callback for UI
         this.onCallClosed = null;
@@ -163,7 +165,7 @@ export class SovereignCallManager {
     }
 
     /**
-     * Post-Quantum Media Key Exchange using ML-KEM
+     * Post-Quantum Media Key Exchange using the hybrid X25519 + ML-KEM-768 KEM
      * Includes timeout protection to prevent hanging calls
      */
     async negotiateMediaKey() {
@@ -171,7 +173,10 @@ export class SovereignCallManager {
         const NEGOTIATION_TIMEOUT = 15000; // 15 seconds
 
         if (this.isInitiator) {
-            const keyPair = await Kyber768.generateKeyPair();
+            const keyPair = await HybridKEM.generateKeyPair();
+            if (this.requirePQC && keyPair.mode === KEM_MODES.CLASSICAL) {
+                throw new Error('This room requires post-quantum key exchange, which is unavailable.');
+            }
 
             return new Promise((resolve, reject) => {
                 const timeout = setTimeout(() => {
@@ -185,9 +190,10 @@ export class SovereignCallManager {
                     clearTimeout(timeout);
                     this.socket.off('call-media-handshake', onHandshake);
 
-                    const sharedSecret = await Kyber768.decapsulate(data.mediaSecret.ciphertext, keyPair.sk);
+                    const sharedSecret = await HybridKEM.decapsulate(data.mediaSecret.ciphertext, keyPair.sk);
                     this.mediaKey = await this.importKey(sharedSecret);
-                    console.log('[SME] Secure Media Key Established (Initiator).');
+                    this.kemMode = keyPair.mode;
+                    console.log(`[SME] Secure Media Key Established (Initiator, ${this.kemMode}).`);
                     resolve();
                 };
 
@@ -330,8 +336,14 @@ export class SovereignCallManager {
     async handleSignal(data) {
         if (data.signal.mediaPk) {
             console.log('[SME] Received PQC PK from initiator.');
-            const result = await Kyber768.encapsulate(data.signal.mediaPk);
+            if (this.requirePQC && HybridKEM.modeOf(data.signal.mediaPk) === KEM_MODES.CLASSICAL) {
+                console.warn('[SME] Refusing classical-only media key exchange (room requires PQC).');
+                this.endCall();
+                return;
+            }
+            const result = await HybridKEM.encapsulate(data.signal.mediaPk);
             this.mediaKey = await this.importKey(result.sharedSecret);
+            this.kemMode = result.mode;
 
             this.socket.emit('call-media-handshake', {
                 senderId: this.socket.id,
@@ -469,6 +481,7 @@ export class SovereignCallManager {
 
         this.mediaKey = null;
         this.rawMediaSecret = null; // Clear sensitive data
+        this.kemMode = null;
         this.targetId = null;
         this.isInitiator = false;
         this.lastInvite = null;
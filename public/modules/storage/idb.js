@@ -0,0 +1,74 @@
+/**
+ * IndexedDB Key-Value Store
+ * Thin promise wrapper: one database per store, so modules never fight over schema versions.
+ * Values go through structured clone, which means CryptoKey objects can be stored as-is.
+ */
+
+export class IDBStore {
+    constructor(dbName, storeName = 'kv') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.run('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Closes the connection and deletes the whole database
+     */
+    async destroy() {
+        const db = this.dbPromise ? await this.dbPromise.catch(() => null) : null;
+        this.dbPromise = null;
+        if (db) db.close();
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve(); // Finishes once other tabs close their connections
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<[key, value]>>}
+     */
+    async entries() {
+        const [keys, values] = await Promise.all([
+            this.run('readonly', store => store.getAllKeys()),
+            this.run('readonly', store => store.getAll())
+        ]);
+        return keys.map((key, i) => [key, values[i]]);
+    }
+}
@@ -0,0 +1,170 @@
+import { IDBStore } from './idb.js';
+
+/**
+ * Encrypted Local Message Cache
+ * Keeps decrypted messages and room keys on this device so a room opens
+ * instantly, can be read offline, and only needs messages it hasn't seen.
+ *
+ * SEALING:
+ * - Everything is sealed (AES-GCM) with a random device key
+ * - The device key is stored wrapped with a key derived from a local passcode
+ *   (PBKDF2-SHA256), so the cache is unreadable until the passcode is entered
+ * - Records are bound to their IndexedDB key as AAD: they can't be swapped between rooms
+ *
+ * RECORDS:
+ * - 'device':           { salt, iterations, wrapped }
+ * - `messages:${room}`: sealed { lastId, syncedAt, messages }
+ * - `keys:${room}`:     sealed keyring, as the keyring serializes it
+ */
+
+const DB_NAME = 'aes-chat-cache';
+const PASSCODE_ITERATIONS = 600000;
+
+const store = new IDBStore(DB_NAME);
+
+export class MessageCache {
+    constructor() {
+        this.deviceKey = null; // Set once unlocked
+    }
+
+    get unlocked() {
+        return !!this.deviceKey;
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a cache was set up on this device
+     */
+    static async exists() {
+        return !!(await store.get('device'));
+    }
+
+    /**
+     * Creates the device key and wraps it with the passcode
+     */
+    async setup(passcode) {
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const deviceKey = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const wrappingKey = await this.passcodeKey(passcode, salt, PASSCODE_ITERATIONS);
+        const raw = await window.crypto.subtle.exportKey('raw', deviceKey);
+
+        await store.set('device', {
+            salt: window.AESEncryption.arrayBufferToBase64(salt),
+            iterations: PASSCODE_ITERATIONS,
+            wrapped: await this.encrypt(wrappingKey, raw, 'device')
+        });
+        this.deviceKey = await this.importDeviceKey(raw);
+    }
+
+    /**
+     * @returns {Promise<boolean>} false on a wrong passcode
+     */
+    async unlock(passcode) {
+        const device = await store.get('device');
+        if (!device) return false;
+        try {
+            const wrappingKey = await this.passcodeKey(
+                passcode,
+                window.AESEncryption.base64ToArrayBuffer(device.salt),
+                device.iterations
+            );
+            this.deviceKey = await this.importDeviceKey(await this.decrypt(wrappingKey, device.wrapped, 'device'));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Promise<{lastId: string|null, syncedAt: number|null, messages: object[]}>}
+     */
+    async loadMessages(roomId) {
+        return (await this.read(`messages:${roomId}`)) || { lastId: null, syncedAt: null, messages: [] };
+    }
+
+    /**
+     * @param {number} syncedAt - server time of the last sync; changes after it are fetched next time
+     */
+    saveMessages(roomId, messages, syncedAt) {
+        const lastId = messages.length ? messages[messages.length - 1].id : null;
+        return this.write(`messages:${roomId}`, { lastId, syncedAt, messages });
+    }
+
+    loadKeys(roomId) {
+        return this.read(`keys:${roomId}`);
+    }
+
+    saveKeys(roomId, keyring) {
+        return this.write(`keys:${roomId}`, keyring);
+    }
+
+    /**
+     * Drops one room's messages and keys (the room was deleted)
+     */
+    static async forget(roomId) {
+        await store.delete(`messages:${roomId}`);
+        await store.delete(`keys:${roomId}`);
+    }
+
+    /**
+     * Shreds the whole cache: device key, messages and keys for every room
+     */
+    static wipe() {
+        return store.destroy();
+    }
+
+    async read(id) {
+        if (!this.deviceKey) return null;
+        const sealed = await store.get(id);
+        if (!sealed) return null;
+        try {
+            return JSON.parse(new TextDecoder().decode(await this.decrypt(this.deviceKey, sealed, id)));
+        } catch (e) {
+            console.warn('[CACHE] Discarding unreadable record', id);
+            return null;
+        }
+    }
+
+    async write(id, value) {
+        if (!this.deviceKey) return;
+        const sealed = await this.encrypt(this.deviceKey, new TextEncoder().encode(JSON.stringify(value)), id);
+        await store.set(id, sealed);
+    }
+
+    async encrypt(key, bytes, id) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const data = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(id) },
+            key,
+            bytes
+        );
+        return { iv: window.AESEncryption.arrayBufferToBase64(iv), data: window.AESEncryption.arrayBufferToBase64(data) };
+    }
+
+    decrypt(key, sealed, id) {
+        return window.crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: new Uint8Array(window.AESEncryption.base64ToArrayBuffer(sealed.iv)),
+                additionalData: new TextEncoder().encode(id)
+            },
+            key,
+            window.AESEncryption.base64ToArrayBuffer(sealed.data)
+        );
+    }
+
+    async passcodeKey(passcode, salt, iterations) {
+        const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    importDeviceKey(raw) {
+        // Non-extractable once unwrapped: it only ever leaves memory wrapped
+        return window.crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+}
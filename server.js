@@ -19,8 +19,100 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
 
+// Whiteboard log: once this many sealed entries (or this many characters of them) pile up
+// after the last snapshot, ask a client for a new snapshot
+const CANVAS_COMPACT_THRESHOLD = 500;
+const CANVAS_COMPACT_BYTES = 512 * 1024;
+// Firestore caps a document at 1 MiB, so the log is kept in a subcollection in chunks of this size
+const CANVAS_CHUNK_CHARS = 900 * 1024;
+const CANVAS_CHUNKS_PER_BATCH = 8; // Keeps each batch under Firestore's 10 MiB request limit
+const KEY_LEASE_MS = 10000; // How long a member may take to create the first room key
+const REKEY_DELAY_MS = 3000; // Leaves within this window share one rekey; members back by then don't trigger one
+const PBKDF2_MIN_ITERATIONS = 100000; // Passphrase rooms: the floor we accept from a creating client
+const PBKDF2_MAX_ITERATIONS = 10000000;
+const INVITE_TTLS = [60 * 60 * 1000, 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000]; // 1 hour, 1 day, 1 week
+const MAX_INVITES_PER_ROOM = 50;
+const INVITE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const DEVICE_LINK_TTL_MS = 5 * 60 * 1000; // How long a device-link code can be entered
+const DEVICE_LINK_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+// Rooms nobody has been in for this long are deleted with their messages and uploads (0 = never)
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_DAYS ?? 30) * 24 * 60 * 60 * 1000;
+const ROOM_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const UPLOAD_TOKEN_TTL_MS = 60 * 1000; // An upload must start this soon after its token is issued
+
+// Roles, lowest to highest. The owner is whoever presents the owner token; the others
+// are assigned per userId and bound to the identity key the member proved at join.
+const ROLES = ['guest', 'member', 'moderator', 'owner'];
+const ASSIGNABLE_ROLES = ['guest', 'member', 'moderator'];
+// Lowest role allowed to do each action
+const PERMISSIONS = {
+    send: 'member',
+    upload: 'member',
+    voice: 'member',
+    draw: 'member',
+    kick: 'moderator',
+    ban: 'moderator',
+    admit: 'moderator',
+    'clear-canvas': 'moderator',
+    'manage-roles': 'moderator',
+    settings: 'owner',
+    'delete-room': 'owner'
+};
+const ACTION_LABELS = {
+    send: 'send messages',
+    upload: 'share files',
+    voice: 'send voice messages',
+    draw: 'draw on the whiteboard',
+    kick: 'remove members',
+    ban: 'ban members',
+    admit: 'let people in',
+    'clear-canvas': 'clear the whiteboard',
+    'manage-roles': 'change roles',
+    settings: 'change room settings',
+    'delete-room': 'delete the room'
+};
+
+// Room policy settings the owner can change. Each entry validates one setting and gives
+// its default; a new knob only needs an entry here (and a control in the settings sidebar).
+const SETTINGS_SCHEMA = {
+    disappearingMessages: { values: [null, 5000, 60000, 3600000, 86400000], default: null },
+    maxMembers: { integer: { min: 2, max: 1000 }, default: 100 }, // Owners can always join
+    isPrivate: { boolean: true, default: true },
+    allowFileSharing: { boolean: true, default: true },
+    allowVoiceMessages: { boolean: true, default: true },
+    requirePQC: { boolean: true, default: false }, // Refuse handshakes that fall back to classical ECDH
+    defaultRole: { values: ['guest', 'member'], default: 'member' }, // 'guest' makes the room read-only for newcomers
+    lobby: { boolean: true, default: false } // Knock-to-enter: newcomers wait until a moderator admits them
+};
+
+function defaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([name, rule]) => [name, rule.default]));
+}
+
+/**
+ * Checks a settings change against SETTINGS_SCHEMA
+ * @returns {{settings?: object, error?: string}} The accepted changes, or why they were refused
+ */
+function validateSettings(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return { error: 'Invalid settings' };
+    const settings = {};
+    for (const [name, value] of Object.entries(changes)) {
+        const rule = SETTINGS_SCHEMA[name];
+        if (!rule) return { error: `Unknown setting: ${name}` };
+        if (rule.boolean && typeof value !== 'boolean') return { error: `${name} must be true or false` };
+        if (rule.values && !rule.values.includes(value)) return { error: `${name} must be one of ${rule.values.join(', ')}` };
+        if (rule.integer && (!Number.isInteger(value) || value < rule.integer.min || value > rule.integer.max)) {
+            return { error: `${name} must be a whole number from ${rule.integer.min} to ${rule.integer.max}` };
+        }
+        settings[name] = value;
+    }
+    return { settings };
+}
+
 // Keep-Alive Mechanism
 const PING_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const APP_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 3000}`;
@@ -37,8 +129,17 @@ const io = new Server(server, {
 
 // Middleware
 app.use(express.static('public'));
+// ML-KEM-768 for the browser, self-hosted from the installed package (no CDN)
+app.use('/vendor/mlkem', express.static(path.join(__dirname, 'node_modules', 'mlkem', 'esm')));
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
+// Uploads are opaque ciphertext blobs: never let the browser sniff or render them
+app.use('/uploads', express.static('uploads', {
+    setHeaders: (res) => {
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Disposition', 'attachment');
+    }
+}));
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -50,13 +151,21 @@ if (!fs.existsSync(uploadsDir)) {
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, 'uploads/'),
     filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
+        // Files arrive encrypted client-side; don't keep the original extension
+        const uniqueName = `${Date.now()}-${uuidv4()}.bin`;
         cb(null, uniqueName);
     }
 });
 const upload = multer({
     storage,
-    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+    // Checked before anything is written: the token field must precede the file in the form
+    fileFilter: (req, file, cb) => {
+        const grant = typeof req.body.uploadToken === 'string' && uploadTokens.get(req.body.uploadToken);
+        req.uploadError = checkUploadToken(req.body.uploadToken);
+        req.uploadRoomId = grant && grant.roomId; // The room the stored file is recorded against
+        cb(null, !req.uploadError);
+    }
 });
 
 // In-memory data stores (production would use Redis/MongoDB)
@@ -64,6 +173,8 @@ const rooms = new Map();
 const users = new Map();
 const messageStore = new Map();
 const typingUsers = new Map();
+const deviceLinks = new Map(); // code -> { socketId, userId, peerSocketId, keySent, revealed, expiresAt } (runtime only)
+const uploadTokens = new Map(); // token -> { roomId, userId, socketId, expiresAt }, single use (runtime only)
 
 // Persistence Logic
 const DATA_DIR = path.join(__dirname, 'data');
@@ -119,6 +230,10 @@ function saveRooms() {
             if (useFirebase) {
                 // Save to Firestore (Batch write or individual)
                 // For simplicity/robustness, we'll save each room as a doc
+                for (const room of rooms.values()) {
+                    if (!room.canvasDirty) continue;
+                    await saveCanvasLog(room).catch(error => console.error('Failed to save whiteboard log:', error));
+                }
                 const batch = db.batch();
                 rooms.forEach((room, roomId) => {
                     const docRef = db.collection('rooms').doc(roomId);
@@ -129,6 +244,20 @@ function saveRooms() {
                         createdAt: room.createdAt.toISOString(),
                         settings: room.settings,
                         messages: room.messages.map(m => ({ ...m, timestamp: m.timestamp.toISOString() })),
+                        // Moved to the canvas subcollection: the inline copy goes once that is written
+                        ...(room.canvasDirty ? {} : { canvasLog: admin.firestore.FieldValue.delete() }),
+                        canvasSeq: room.canvasSeq,
+                        keyEpoch: room.keyEpoch,
+                        keyFingerprint: room.keyFingerprint,
+                        passphrase: room.passphrase,
+                        invites: room.invites,
+                        revokedDevices: room.revokedDevices,
+                        ownerTokenHash: room.ownerTokenHash,
+                        roles: room.roles,
+                        bans: room.bans,
+                        known: room.known,
+                        uploads: room.uploads,
+                        lastActiveAt: room.lastActiveAt,
                         // Don't save transient members store, they re-join
                     };
                     batch.set(docRef, roomData, { merge: true });
@@ -139,6 +268,17 @@ function saveRooms() {
                 // Local File Save
                 const data = Array.from(rooms.values()).map(room => ({
                     ...room,
+                    // Runtime-only key coordination state
+                    keyHolders: undefined,
+                    keyLease: undefined,
+                    rekey: undefined,
+                    rekeyTimer: undefined,
+                    departed: undefined,
+                    lobby: undefined,
+                    canvasDirty: undefined,
+                    canvasChunks: undefined,
+                    canvasCompaction: undefined,
+                    canvasReseal: undefined,
                     members: Array.from(room.members.entries()),
                     messages: room.messages
                 }));
@@ -158,11 +298,11 @@ async function loadRooms() {
             const snapshot = await db.collection('rooms').get();
             if (snapshot.empty) return;
 
-            snapshot.forEach(doc => {
+            for (const doc of snapshot.docs) {
                 const data = doc.data();
                 const room = new Room(data.id, data.name, data.createdBy);
                 room.createdAt = new Date(data.createdAt);
-                room.settings = data.settings;
+                room.settings = { ...defaultSettings(), ...data.settings };
                 // Hydrate messages
                 room.messages = (data.messages || []).map(m => {
                     const msg = new Message(m); // Message ctor handles basic copy
@@ -170,11 +310,33 @@ async function loadRooms() {
                     msg.timestamp = new Date(m.timestamp);
                     msg.reactions = m.reactions || {};
                     msg.readBy = m.readBy || [];
+                    msg.editHistory = m.editHistory || [];
                     msg.fileData = m.fileData; // Ensure file data is preserved
+                    msg.edited = !!m.edited;
+                    // Firestore hands Dates back as Timestamps
+                    msg.editedAt = m.editedAt ? (m.editedAt.toDate ? m.editedAt.toDate() : new Date(m.editedAt)) : null;
+                    msg.deleted = !!m.deleted;
+                    msg.updatedAt = m.updatedAt || null; // Incremental sync finds changes by it
                     return msg;
                 });
+                // Rooms saved before the subcollection still carry the log inline
+                room.canvasLog = data.canvasLog || await loadCanvasLog(room);
+                room.canvasDirty = !!data.canvasLog;
+                room.canvasSeq = data.canvasSeq || 0;
+                room.keyEpoch = data.keyEpoch || 0;
+                room.keyFingerprint = data.keyFingerprint || null;
+                room.passphrase = data.passphrase || null;
+                room.invites = data.invites || {};
+                room.revokedDevices = data.revokedDevices || {};
+                room.ownerTokenHash = data.ownerTokenHash || null;
+                room.roles = data.roles || {};
+                room.bans = data.bans || {};
+                room.known = data.known || {};
+                room.uploads = data.uploads || [];
+                // Rooms saved before activity was tracked get a full TTL from now
+                room.lastActiveAt = data.lastActiveAt || Date.now();
                 rooms.set(room.id, room);
-            });
+            }
             console.log(`🔥 Loaded ${rooms.size} rooms from Firebase`);
         } else {
             // Local Load
@@ -184,8 +346,21 @@ async function loadRooms() {
                 data.forEach(roomData => {
                     const room = new Room(roomData.id, roomData.name, roomData.createdBy);
                     room.createdAt = new Date(roomData.createdAt);
-                    room.settings = roomData.settings;
+                    room.settings = { ...defaultSettings(), ...roomData.settings };
                     room.messages = roomData.messages || [];
+                    room.canvasLog = roomData.canvasLog || [];
+                    room.canvasSeq = roomData.canvasSeq || 0;
+                    room.keyEpoch = roomData.keyEpoch || 0;
+                    room.keyFingerprint = roomData.keyFingerprint || null;
+                    room.passphrase = roomData.passphrase || null;
+                    room.invites = roomData.invites || {};
+                    room.revokedDevices = roomData.revokedDevices || {};
+                    room.ownerTokenHash = roomData.ownerTokenHash || null;
+                    room.roles = roomData.roles || {};
+                    room.bans = roomData.bans || {};
+                    room.known = roomData.known || {};
+                    room.uploads = roomData.uploads || [];
+                    room.lastActiveAt = roomData.lastActiveAt || Date.now();
                     rooms.set(room.id, room);
                 });
                 console.log(`📂 Loaded ${rooms.size} rooms from local storage`);
@@ -196,8 +371,56 @@ async function loadRooms() {
     }
 }
 
-// Start persistence
-initPersistence();
+/**
+ * Firestore: writes the whiteboard log as JSON split over `rooms/<id>/canvas/<n>`.
+ * Each chunk records the total, so a load never stitches chunks of two different saves.
+ */
+async function saveCanvasLog(room) {
+    room.canvasDirty = false;
+    const json = JSON.stringify(room.canvasLog);
+    const chunks = [];
+    for (let i = 0; i < json.length; i += CANVAS_CHUNK_CHARS) chunks.push(json.slice(i, i + CANVAS_CHUNK_CHARS));
+    if (!chunks.length) chunks.push('[]');
+
+    const collection = db.collection('rooms').doc(room.id).collection('canvas');
+    const writes = chunks.map((chunk, i) => batch => batch.set(collection.doc(String(i)), { chunk, total: chunks.length }));
+    for (let i = chunks.length; i < room.canvasChunks; i++) {
+        writes.push(batch => batch.delete(collection.doc(String(i))));
+    }
+    try {
+        for (let i = 0; i < writes.length; i += CANVAS_CHUNKS_PER_BATCH) {
+            const batch = db.batch();
+            writes.slice(i, i + CANVAS_CHUNKS_PER_BATCH).forEach(write => write(batch));
+            await batch.commit();
+        }
+        room.canvasChunks = chunks.length;
+    } catch (error) {
+        room.canvasDirty = true; // Retried on the next save
+        throw error;
+    }
+}
+
+async function loadCanvasLog(room) {
+    const snapshot = await db.collection('rooms').doc(room.id).collection('canvas').get();
+    const chunks = [];
+    snapshot.forEach(doc => { chunks[Number(doc.id)] = doc.data(); });
+    room.canvasChunks = chunks.length;
+    const total = chunks[0]?.total || 0;
+    try {
+        return total ? JSON.parse(chunks.slice(0, total).map(c => c.chunk).join('')) : [];
+    } catch (error) {
+        console.error(`Unreadable whiteboard log for room ${room.id.substring(0, 8)}..., starting empty`);
+        return [];
+    }
+}
+
+function deleteCanvasLog(room) {
+    const collection = db.collection('rooms').doc(room.id).collection('canvas');
+    return collection.get().then(snapshot => Promise.all(snapshot.docs.map(doc => doc.ref.delete())));
+}
+
+// Start persistence. Room pages wait for it so an existing room isn't reported missing.
+const persistenceReady = initPersistence();
 
 // Keep-Alive Ping
 app.get('/ping', (req, res) => res.status(200).send('pong'));
@@ -212,22 +435,77 @@ class Room {
         this.id = id;
         this.name = name || `Room ${id.substring(0, 6)}`;
         this.createdAt = new Date();
+        this.lastActiveAt = Date.now(); // ms; last time anyone was in the room (for ROOM_TTL_MS)
         this.createdBy = createdBy;
         this.members = new Map();
         this.messages = [];
-        this.settings = {
-            disappearingMessages: null, // null, 5000, 60000, 3600000, 86400000
-            maxMembers: 100,
-            isPrivate: true,
-            allowFileSharing: true,
-            allowVoiceMessages: true
-        };
+        this.canvasLog = []; // Sealed whiteboard entries { seq, kind, data } - opaque to the server
+        this.canvasSeq = 0;
+        this.canvasDirty = false; // Firestore: the log changed since it was last written (runtime only)
+        this.canvasChunks = 0; // Firestore: chunk documents the log occupies (runtime only)
+        this.canvasCompaction = null; // { socketId, upToSeq } - the snapshot last asked for (runtime only)
+        this.canvasReseal = null; // Socket that rotated the key: asked for a snapshot on its next sync (runtime only)
+        this.uploads = []; // Stored filenames uploaded with this room's tokens: deleted with the room
+        // Room key ownership: the server never sees keys, only which epoch is current,
+        // its fingerprint, and which sockets hold it
+        this.keyEpoch = 0; // 0 until the first key is claimed
+        this.keyFingerprint = null;
+        this.keyHolders = new Set(); // Socket ids holding keyEpoch (runtime only)
+        this.keyLease = null; // { socketId, expiresAt } - the one member allowed to create the first key
+        this.rekey = null; // { socketId, epoch } - the holder asked to rotate to the next epoch
+        this.rekeyTimer = null;
+        this.departed = new Set(); // userIds that left since the last rekey was scheduled
+        this.rekeyForced = false; // A kick is pending: rotate even if nobody else left
+        // Passphrase rooms: KDF parameters and a verifier. The verifier is SHA-256 of
+        // a proof derived alongside the key, so it can't be turned back into the key.
+        this.passphrase = null; // { salt, iterations, verifier }
+        // Keyed invite links: the room key wrapped with a secret that only the link holds
+        this.invites = {}; // token -> { epoch, wrappedKey, expiresAt, usesLeft (null = unlimited) }
+        this.revokedDevices = {}; // userId -> [deviceId] that may no longer join as that user
+        // Owner credential: handed to the creator once; only its SHA-256 is kept
+        this.ownerTokenHash = null;
+        this.roles = {}; // userId -> { role, identityKey } for anyone not on the default role
+        this.bans = {}; // userId -> { name, identityKey, bannedBy, bannedAt }
+        this.known = {}; // userId -> identity key of everyone admitted before: they skip the lobby
+        this.lobby = new Map(); // socketId -> { socketId, userId, name, requestedAt, admit } (runtime only)
+        this.settings = defaultSettings(); // See SETTINGS_SCHEMA
+    }
+
+    /**
+     * Whether a socket may join as `userId`. A userId is public, so a member already here
+     * only gains a device that proved the same identity key; without a key, only a repeated
+     * join from the record's own socket gets through.
+     */
+    canJoinAs(userId, socketId, identityKey) {
+        const existing = this.members.get(userId);
+        if (!existing || existing.devices.every(d => d.socketId === socketId)) return true;
+        return !!identityKey && existing.identityKey === identityKey;
     }
 
+    /**
+     * Adds a member, or one more device of a member already here (see canJoinAs). The member
+     * record takes the newest device's socket and keys; each device keeps its own in `devices`,
+     * along with the role it joined with.
+     */
     addMember(userId, userData) {
+        const existing = this.members.get(userId);
+        const devices = (existing?.devices || [])
+            .filter(d => d.deviceId !== userData.deviceId && d.socketId !== userData.id);
+        devices.push({
+            deviceId: userData.deviceId,
+            deviceName: userData.deviceName,
+            socketId: userData.id,
+            kemKey: userData.kemKey,
+            kemSignature: userData.kemSignature,
+            identityKey: userData.identityKey,
+            role: userData.role,
+            connectedAt: new Date()
+        });
         this.members.set(userId, {
             ...userData,
-            joinedAt: new Date(),
+            role: topRole(devices),
+            devices,
+            joinedAt: existing?.joinedAt || new Date(),
             isOnline: true
         });
     }
@@ -236,12 +514,227 @@ class Room {
         this.members.delete(userId);
     }
 
+    /**
+     * Drops one device of a member
+     * @returns {boolean} true if that was the member's last device (the member is gone)
+     */
+    removeDevice(userId, socketId) {
+        const member = this.members.get(userId);
+        if (!member) return false;
+        const devices = member.devices.filter(d => d.socketId !== socketId);
+        if (devices.length === member.devices.length) return false;
+        if (!devices.length) {
+            this.members.delete(userId);
+            return true;
+        }
+        const newest = devices[devices.length - 1];
+        this.members.set(userId, {
+            ...member,
+            devices,
+            id: newest.socketId,
+            deviceId: newest.deviceId,
+            deviceName: newest.deviceName,
+            kemKey: newest.kemKey,
+            kemSignature: newest.kemSignature,
+            role: topRole(devices)
+        });
+        return false;
+    }
+
+    hasSocket(socketId) {
+        for (const member of this.members.values()) {
+            if (member.devices.some(d => d.socketId === socketId)) return true;
+        }
+        return false;
+    }
+
+    isDeviceRevoked(userId, deviceId) {
+        return (this.revokedDevices[userId] || []).includes(deviceId);
+    }
+
+    appendCanvasEntry(kind, data) {
+        // Clears don't truncate: clients order entries by their own (sealed) clocks,
+        // so a stroke logged before a clear may still be newer than it
+        const entry = { seq: ++this.canvasSeq, kind, data };
+        this.canvasLog.push(entry);
+        this.canvasDirty = true;
+        return entry;
+    }
+
+    compactCanvas(upToSeq, data) {
+        const snapshot = { seq: upToSeq, kind: 'snapshot', data };
+        this.canvasLog = [snapshot, ...this.canvasLog.filter(e => e.seq > upToSeq)];
+        this.canvasDirty = true;
+    }
+
+    /**
+     * Whether enough has been logged since the last snapshot to ask for a new one.
+     * Sized by characters too: a few pasted images outweigh hundreds of strokes.
+     */
+    needsCanvasCompaction() {
+        const backlog = this.canvasLog.filter(e => e.kind !== 'snapshot');
+        return backlog.length > CANVAS_COMPACT_THRESHOLD ||
+            backlog.reduce((size, e) => size + e.data.iv.length + e.data.data.length, 0) > CANVAS_COMPACT_BYTES;
+    }
+
+    /**
+     * Grants the right to create the first key to exactly one member at a time
+     */
+    leaseKeyCreation(socketId) {
+        if (this.keyEpoch > 0) return false;
+        const now = Date.now();
+        if (this.keyLease && this.keyLease.socketId !== socketId && this.keyLease.expiresAt > now) return false;
+        this.keyLease = { socketId, expiresAt: now + KEY_LEASE_MS };
+        return true;
+    }
+
+    /**
+     * Registers a socket as holding key `epoch`. The first claim fixes the fingerprint;
+     * any other key for the same epoch is a divergent fork and is refused.
+     */
+    claimKey(socketId, epoch, fingerprint) {
+        if (!Number.isInteger(epoch) || epoch < 1 || typeof fingerprint !== 'string' || fingerprint.length > 64) {
+            return { ok: false, epoch: this.keyEpoch };
+        }
+        if (this.keyEpoch === 0) {
+            const leased = this.keyLease && this.keyLease.expiresAt > Date.now();
+            if (epoch !== 1 || (leased && this.keyLease.socketId !== socketId)) {
+                return { ok: false, epoch: 0 };
+            }
+            this.keyEpoch = 1;
+            this.keyFingerprint = fingerprint;
+            this.keyLease = null;
+        } else if (this.rekey && this.rekey.socketId === socketId && epoch === this.rekey.epoch) {
+            // Rotation: the new epoch starts with the rotating member as its only holder
+            this.keyEpoch = epoch;
+            this.keyFingerprint = fingerprint;
+            this.keyHolders = new Set();
+            this.rekey = null;
+        }
+        if (epoch !== this.keyEpoch || fingerprint !== this.keyFingerprint) {
+            return { ok: false, epoch: this.keyEpoch };
+        }
+        this.keyHolders.add(socketId);
+        return { ok: true, epoch: this.keyEpoch };
+    }
+
+    /**
+     * Checks a joiner's passphrase proof against the stored verifier
+     */
+    checkPassphrase(proof) {
+        if (!this.passphrase) return true;
+        if (typeof proof !== 'string' || proof.length > 128) return false;
+        const digest = crypto.createHash('sha256').update(proof).digest();
+        const expected = Buffer.from(this.passphrase.verifier, 'base64');
+        return digest.length === expected.length && crypto.timingSafeEqual(digest, expected);
+    }
+
+    /**
+     * Creates the owner credential. The token itself is returned once and never stored.
+     */
+    mintOwnerToken() {
+        const token = crypto.randomBytes(32).toString('base64url');
+        this.ownerTokenHash = crypto.createHash('sha256').update(token).digest('base64');
+        return token;
+    }
+
+    checkOwnerToken(token) {
+        if (!this.ownerTokenHash || typeof token !== 'string' || token.length > 128) return false;
+        const digest = crypto.createHash('sha256').update(token).digest();
+        const expected = Buffer.from(this.ownerTokenHash, 'base64');
+        return digest.length === expected.length && crypto.timingSafeEqual(digest, expected);
+    }
+
+    /**
+     * A stored role only applies to the identity key it was granted to
+     */
+    roleOf(userId, identityKey, isOwner) {
+        if (isOwner) return 'owner';
+        const assigned = this.roles[userId];
+        if (assigned && identityKey && assigned.identityKey === identityKey) return assigned.role;
+        return this.settings.defaultRole || 'member';
+    }
+
+    /**
+     * Binds the role to the member's proven identity key; without one it never applies.
+     * Every device of the member takes it, as they all proved that key.
+     */
+    setRole(userId, role) {
+        const member = this.members.get(userId);
+        if (!member) return;
+        this.roles[userId] = { role, identityKey: member.identityKey || null };
+        this.members.set(userId, { ...member, role, devices: member.devices.map(d => ({ ...d, role })) });
+    }
+
+    /**
+     * Banned by persistent userId, or by a proven identity key under a new userId
+     */
+    isBanned(userId, identityKey) {
+        if (this.bans[userId]) return true;
+        return !!identityKey && Object.values(this.bans).some(b => b.identityKey && b.identityKey === identityKey);
+    }
+
+    ban(userId, info) {
+        this.bans[userId] = { ...info, bannedAt: Date.now() };
+        delete this.roles[userId];
+        delete this.known[userId];
+    }
+
+    banList() {
+        return Object.entries(this.bans).map(([userId, b]) => ({
+            userId,
+            name: b.name,
+            bannedBy: b.bannedBy,
+            bannedAt: b.bannedAt
+        }));
+    }
+
+    isKnown(userId, identityKey) {
+        return !!identityKey && this.known[userId] === identityKey;
+    }
+
+    lobbyList() {
+        return [...this.lobby.values()].map(({ socketId, userId, name, requestedAt }) => ({ socketId, userId, name, requestedAt }));
+    }
+
+    pruneInvites() {
+        const now = Date.now();
+        for (const [token, invite] of Object.entries(this.invites)) {
+            if (invite.expiresAt <= now) delete this.invites[token];
+        }
+    }
+
+    /**
+     * Hands out an invite's wrapped key if it is still valid, using up one use
+     * @returns {object|null}
+     */
+    redeemInvite(token) {
+        this.pruneInvites();
+        const invite = this.invites[token];
+        if (!invite) return null;
+        if (invite.usesLeft !== null) {
+            invite.usesLeft--;
+            if (invite.usesLeft <= 0) delete this.invites[token];
+        }
+        return invite;
+    }
+
     getMembersList() {
         return Array.from(this.members.entries()).map(([id, data]) => ({
             id,
-            ...data
+            ...this.publicMember(data)
         }));
     }
+
+    /**
+     * A member record as the room sees it. Device ids stay on the server: they are what
+     * revocation and the revoked list go by.
+     */
+    publicMember(member) {
+        if (!member) return member;
+        const { deviceId, ...rest } = member;
+        return { ...rest, devices: member.devices.map(({ deviceId, ...device }) => device) };
+    }
 }
 
 // Message class
@@ -260,10 +753,13 @@ class Message {
         this.readBy = [data.senderId];
         this.edited = false;
         this.editedAt = null;
+        this.editHistory = []; // Previous { content, isEncrypted, editedAt } versions
         this.deleted = false;
         this.disappearAt = data.disappearAt || null;
         this.fileData = data.fileData || null;
         this.isEncrypted = data.isEncrypted || false;
+        this.keyEpoch = Number.isInteger(data.keyEpoch) ? data.keyEpoch : null; // Room key epoch of the ciphertext
+        this.updatedAt = null; // ms; set on edit/delete/reaction so incremental sync can pick the change up
         this.userId = data.userId || null;
     }
 }
@@ -273,21 +769,44 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/room/:roomId', (req, res) => {
+app.get('/room/:roomId', async (req, res) => {
+    await persistenceReady;
+    if (!rooms.has(req.params.roomId)) {
+        return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
+    }
     res.sendFile(path.join(__dirname, 'public', 'chat.html'));
 });
 
 // Create new room
 app.post('/api/rooms', (req, res) => {
-    const { name, creatorName } = req.body;
+    const { name, creatorName, passphrase } = req.body;
+
+    // Optional passphrase room: the key is derived client-side, we only keep what's needed to verify
+    if (passphrase) {
+        const { salt, iterations, verifier } = passphrase;
+        if (typeof salt !== 'string' || salt.length > 64 || typeof verifier !== 'string' || verifier.length > 64 ||
+            !Number.isInteger(iterations) || iterations < PBKDF2_MIN_ITERATIONS || iterations > PBKDF2_MAX_ITERATIONS) {
+            return res.status(400).json({ error: 'Invalid passphrase parameters' });
+        }
+    }
+
     const roomId = uuidv4();
     const room = new Room(roomId, name, creatorName);
+    const ownerToken = room.mintOwnerToken();
+    if (passphrase) {
+        room.passphrase = {
+            salt: passphrase.salt,
+            iterations: passphrase.iterations,
+            verifier: passphrase.verifier
+        };
+    }
     rooms.set(roomId, room);
     saveRooms(); // Save after creation
 
     res.json({
         success: true,
         roomId,
+        ownerToken, // Only ever sent here: the creator's client keeps it
         inviteLink: `/room/${roomId}`
     });
 });
@@ -298,97 +817,464 @@ app.get('/api/rooms/:roomId', (req, res) => {
     if (!room) {
         return res.status(404).json({ error: 'Room not found' });
     }
+    // Like join-room: nothing about a passphrase room without the proof, which this can't check
+    if (room.passphrase) {
+        return res.json({ id: room.id, passphraseProtected: true });
+    }
     res.json({
         id: room.id,
         name: room.name,
         memberCount: room.members.size,
         createdAt: room.createdAt,
+        passphraseProtected: !!room.passphrase,
         settings: room.settings
     });
 });
 
 // File upload endpoint
+// Needs a token from the uploader's socket (`upload-token`), so only members allowed to share files can
 app.post('/api/upload', upload.single('file'), (req, res) => {
+    if (req.uploadError) {
+        return res.status(403).json({ error: req.uploadError });
+    }
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
+    const room = rooms.get(req.uploadRoomId);
+    if (!room) {
+        // Deleted while the file was coming in
+        fs.unlink(req.file.path, () => { });
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    room.uploads.push(req.file.filename);
+    saveRooms();
     res.json({
         success: true,
         filename: req.file.filename,
-        originalName: req.file.originalname,
         size: req.file.size,
-        mimetype: req.file.mimetype,
         url: `/uploads/${req.file.filename}`
     });
 });
 
+/**
+ * Uses up an upload token and re-checks its holder against the room as it is now
+ * @returns {string|null} Why the upload is refused, or null to accept it
+ */
+function checkUploadToken(token) {
+    const grant = typeof token === 'string' && uploadTokens.get(token);
+    if (!grant) return 'Upload not authorized';
+    uploadTokens.delete(token);
+    if (grant.expiresAt < Date.now()) return 'Upload not authorized';
+
+    const room = rooms.get(grant.roomId);
+    const member = room && room.members.get(grant.userId);
+    const device = member && member.devices.find(d => d.socketId === grant.socketId);
+    if (!device || room.isBanned(grant.userId, member.identityKey)) return 'Not a member of this room';
+    if (!hasPermission(device.role, 'upload')) return `${device.role.charAt(0).toUpperCase() + device.role.slice(1)}s can't ${ACTION_LABELS.upload}`;
+    if (!room.settings.allowFileSharing) return 'File sharing is turned off in this room';
+    return null;
+}
+
+/**
+ * Removes a room for good: everyone in it is sent away, and its messages and
+ * uploaded files are deleted from this server and from storage
+ */
+function deleteRoom(room, reason) {
+    rooms.delete(room.id);
+    clearTimeout(room.rekeyTimer);
+
+    io.to(room.id).emit('room-deleted', { roomName: room.name, reason });
+    room.lobby.forEach(request => io.to(request.socketId).emit('room-deleted', { roomName: room.name, reason }));
+    io.in(room.id).disconnectSockets(true);
+
+    // Only files recorded against this room: a message's fileData.url is whatever its
+    // sender wrote, and could point at another room's upload
+    room.uploads.forEach(filename => {
+        fs.unlink(path.join(uploadsDir, path.basename(filename)), (err) => {
+            if (err && err.code !== 'ENOENT') console.error('Failed to delete upload:', err);
+        });
+    });
+    room.uploads = [];
+    room.messages = [];
+
+    if (useFirebase) {
+        Promise.all([db.collection('rooms').doc(room.id).delete(), deleteCanvasLog(room)])
+            .catch(error => console.error('Failed to delete room data:', error));
+    }
+    saveRooms();
+    console.log(`[ROOMS] Deleted room ${room.id.substring(0, 8)}... (${reason})`);
+}
+
+// Inactive room expiry. A room with anyone in it counts as active.
+function sweepInactiveRooms() {
+    if (!ROOM_TTL_MS) return;
+    const now = Date.now();
+    for (const room of [...rooms.values()]) {
+        if (room.members.size || room.lobby.size) {
+            room.lastActiveAt = now;
+        } else if (now - room.lastActiveAt > ROOM_TTL_MS) {
+            deleteRoom(room, 'expired');
+        }
+    }
+}
+setInterval(sweepInactiveRooms, ROOM_SWEEP_INTERVAL);
+
+function hasPermission(role, action) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[action]);
+}
+
+// A member record shows the highest role any of its devices holds
+function topRole(devices) {
+    return devices.reduce((top, d) => (ROLES.indexOf(d.role) > ROLES.indexOf(top) ? d.role : top), 'guest');
+}
+
+/**
+ * Sends an event to every device of every member whose role allows `action`
+ */
+function emitToPermitted(room, action, event, data) {
+    room.members.forEach(member => {
+        member.devices.forEach(d => {
+            if (hasPermission(d.role, action)) io.to(d.socketId).emit(event, data);
+        });
+    });
+}
+
+/**
+ * Asks one socket for a whiteboard snapshot. It is the only snapshot the server will take
+ * next: a snapshot replaces the log late joiners replay.
+ */
+function requestCanvasSnapshot(room, socketId, upToSeq) {
+    room.canvasCompaction = { socketId, upToSeq };
+    io.to(socketId).emit('canvas-compact-request', { upToSeq });
+}
+
+function notifyLobby(room) {
+    emitToPermitted(room, 'admit', 'lobby-updated', { requests: room.lobbyList() });
+}
+
+/**
+ * Removes a member and disconnects all of their devices (kick or ban)
+ */
+function expelMember(room, userId, banned) {
+    const target = room.members.get(userId);
+    if (!target) return;
+    room.removeMember(userId);
+
+    // Disconnecting stops the target's sockets from emitting into the room
+    target.devices.forEach(d => {
+        room.keyHolders.delete(d.socketId);
+        const targetSocket = io.sockets.sockets.get(d.socketId);
+        if (targetSocket) {
+            targetSocket.emit('kicked', { roomName: room.name, banned });
+            targetSocket.disconnect(true);
+        }
+    });
+    scheduleRekey(room, userId, 'kick');
+
+    io.to(room.id).emit('user-left', {
+        user: { id: target.id, userId, name: target.name },
+        members: room.getMembersList()
+    });
+}
+
+/**
+ * Checks an ECDSA P-256 signature made with Web Crypto (raw public key, IEEE P1363 signature)
+ */
+function verifyIdentitySignature(publicKey, signature, data) {
+    try {
+        const raw = Buffer.from(publicKey, 'base64');
+        if (raw.length !== 65 || raw[0] !== 4) return false;
+        const key = crypto.createPublicKey({
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                x: raw.subarray(1, 33).toString('base64url'),
+                y: raw.subarray(33).toString('base64url')
+            },
+            format: 'jwk'
+        });
+        return crypto.verify('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64'));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Rotates a room's key after members leave. Bursts of leaves are batched, and a
+ * member who is back before the timer fires (page refresh) doesn't count.
+ * Kicks always rotate.
+ */
+function scheduleRekey(room, userId, reason) {
+    // A passphrase room's key is the passphrase: whoever left can still derive it
+    if (room.keyEpoch === 0 || room.passphrase) return;
+    room.departed.add(userId);
+    // A kicked member or revoked device still has the key even if it comes back: always rotate
+    if (reason !== 'leave') room.rekeyForced = reason;
+    if (room.rekeyTimer) return;
+
+    room.rekeyTimer = setTimeout(() => {
+        room.rekeyTimer = null;
+        const gone = [...room.departed].filter(id => !room.members.has(id));
+        const forced = room.rekeyForced;
+        room.departed = new Set();
+        room.rekeyForced = false;
+        if (gone.length || forced) requestRekey(room, forced || 'leave');
+    }, REKEY_DELAY_MS);
+}
+
+function pruneDeviceLinks() {
+    const now = Date.now();
+    for (const [code, link] of deviceLinks) {
+        if (link.expiresAt <= now) deviceLinks.delete(code);
+    }
+}
+
+/**
+ * Asks one holder of the current epoch to create the next one and
+ * encapsulate it to every remaining member's published KEM key
+ */
+function requestRekey(room, reason, preferredSocketId) {
+    const holders = [...room.keyHolders];
+    const socketId = holders.includes(preferredSocketId) ? preferredSocketId : holders[0];
+    if (!socketId) return false; // Nobody online holds the key; the next holder to claim can't be asked
+
+    room.rekey = { socketId, epoch: room.keyEpoch + 1 };
+    // Every device gets its own bundle, including the rotating member's other devices
+    const recipients = room.getMembersList()
+        .flatMap(m => m.devices.map(d => ({
+            socketId: d.socketId,
+            userId: m.userId,
+            userName: m.name,
+            identityKey: m.identityKey,
+            kemKey: d.kemKey,
+            kemSignature: d.kemSignature
+        })))
+        .filter(r => r.socketId !== socketId && r.kemKey);
+    io.to(socketId).emit('rekey-required', { epoch: room.rekey.epoch, reason, recipients });
+    console.log(`[KEYS] Rekey to epoch ${room.rekey.epoch} requested in room ${room.id.substring(0, 8)}... (${reason})`);
+    return true;
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`User connected: ${socket.id}`);
     let currentRoom = null;
     let currentUser = null;
+    let lobbyRoomId = null; // Room this socket is waiting to be admitted to
+
+    // Read from this socket's device entry, so a promotion or demotion applies immediately,
+    // and another device of the same member can't lend it a role
+    const currentRole = () => {
+        const room = currentRoom && rooms.get(currentRoom);
+        const member = room && currentUser && room.members.get(currentUser.userId);
+        return member?.devices.find(d => d.socketId === socket.id)?.role || 'guest';
+    };
+    const can = (action) => hasPermission(currentRole(), action);
+
+    // Refused actions get an explicit error rather than being ignored
+    const requirePermission = (action) => {
+        if (can(action)) return true;
+        const role = currentRole();
+        socket.emit('permission-denied', {
+            action,
+            role,
+            error: `${role.charAt(0).toUpperCase() + role.slice(1)}s can't ${ACTION_LABELS[action]}`
+        });
+        return false;
+    };
 
     // Join room
-    socket.on('join-room', ({ roomId, userId, userName, userAvatar }) => {
-        // Create room if doesn't exist (for direct link access)
-        if (!rooms.has(roomId)) {
-            const room = new Room(roomId, null, userName);
-            rooms.set(roomId, room);
+    socket.on('join-room', ({ roomId, userId, userName, userAvatar, identityKey, identityProof, kemKey, kemSignature, passphraseProof, since, deviceId, deviceName, ownerToken }) => {
+        // Rooms are only created through POST /api/rooms
+        const room = rooms.get(roomId);
+        if (!room) {
+            socket.emit('room-not-found', { roomId });
+            return;
         }
 
-        const room = rooms.get(roomId);
-        currentRoom = roomId;
+        // Passphrase rooms: nothing about the room is sent until the proof checks out
+        if (!room.checkPassphrase(passphraseProof)) {
+            socket.emit('passphrase-required', {
+                salt: room.passphrase.salt,
+                iterations: room.passphrase.iterations,
+                error: passphraseProof ? 'Incorrect passphrase' : null
+            });
+            return;
+        }
 
         // Fail-safe: Ensure userId is never undefined
         const persistentId = userId || `temp-${socket.id}`;
+        const device = typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : `temp-${socket.id}`;
 
-        currentUser = {
-            id: socket.id,
-            userId: persistentId, // Store persistent ID
-            name: userName,
-            avatar: userAvatar,
-            color: generateUserColor(userName)
-        };
+        if (room.isDeviceRevoked(persistentId, device)) {
+            socket.emit('device-revoked', { roomName: room.name });
+            return;
+        }
 
-        // Check if this is a fresh join or just a reconnection pulse
-        const isNewJoin = !room.members.has(persistentId);
+        const isOwner = room.checkOwnerToken(ownerToken);
 
-        // Add user to room using persistent userId as key
-        room.addMember(persistentId, currentUser);
-        users.set(socket.id, { ...currentUser, roomId });
+        // The identity key only counts (for roles) if this socket proved it holds it
+        const provenIdentity = typeof identityKey === 'string' && identityKey.length <= 256 &&
+            typeof identityProof === 'string' && identityProof.length <= 256 &&
+            verifyIdentitySignature(identityKey, identityProof,
+                JSON.stringify(['aes-chat-handshake-v1', 'join', roomId, persistentId, socket.id]))
+            ? identityKey
+            : null;
 
-        // Join socket room
-        socket.join(roomId);
+        if (room.isBanned(persistentId, provenIdentity)) {
+            socket.emit('join-denied', { reason: 'banned', roomName: room.name });
+            return;
+        }
 
-        // Send room data
-        socket.emit('room-joined', {
-            roomId,
-            roomName: room.name,
-            members: room.getMembersList(),
-            messages: room.messages.slice(-5000),
-            settings: room.settings
-        });
-        saveRooms();
+        // Someone else's userId: joining as them would merge into their member record
+        const denyIdentity = () => socket.emit('join-denied', { reason: 'identity', roomName: room.name });
+        if (!room.canJoinAs(persistentId, socket.id, provenIdentity)) return denyIdentity();
+
+        // Another device of someone already here doesn't take a place
+        const isFull = () => !isOwner && !room.members.has(persistentId) &&
+            room.members.size >= room.settings.maxMembers;
+        const denyFull = () => socket.emit('join-denied', { reason: 'full', roomName: room.name });
+        if (isFull()) return denyFull();
+
+        // Lobby rooms: anyone not admitted before waits for a moderator. The rest of the join
+        // runs when they are let in.
+        if (room.settings.lobby && !isOwner && !room.isKnown(persistentId, provenIdentity)) {
+            lobbyRoomId = roomId;
+            room.lobby.set(socket.id, {
+                socketId: socket.id,
+                userId: persistentId,
+                name: typeof userName === 'string' ? userName.substring(0, 64) : 'Someone',
+                requestedAt: Date.now(),
+                admit: () => (isFull() ? denyFull() : completeJoin())
+            });
+            socket.emit('lobby-waiting', { roomName: room.name });
+            notifyLobby(room);
+            return;
+        }
+        completeJoin();
+
+        function completeJoin() {
+            // The record may have appeared while this socket waited in the lobby
+            if (!room.canJoinAs(persistentId, socket.id, provenIdentity)) return denyIdentity();
+            lobbyRoomId = null;
+            currentRoom = roomId;
+            room.lastActiveAt = Date.now();
+            currentUser = {
+                id: socket.id,
+                userId: persistentId, // Store persistent ID
+                name: userName,
+                avatar: userAvatar,
+                color: generateUserColor(userName),
+                // Public signing key, published so members can compare fingerprints. Only kept
+                // once the join signature proved it: roles (and bans) are bound to it.
+                identityKey: provenIdentity,
+                // KEM public key (signed with the identity key) that rekeys are encapsulated to
+                kemKey: typeof kemKey === 'string' && kemKey.length <= 4096 ? kemKey : null,
+                kemSignature: typeof kemSignature === 'string' && kemSignature.length <= 256 ? kemSignature : null,
+                deviceId: device,
+                deviceName: typeof deviceName === 'string' ? deviceName.substring(0, 64) : 'Unknown device',
+                role: room.roleOf(persistentId, provenIdentity, isOwner)
+            };
+
+            // Check if this is a fresh join or just a reconnection pulse
+            const isNewJoin = !room.members.has(persistentId);
+
+            // Add user to room using persistent userId as key
+            room.addMember(persistentId, currentUser);
+            users.set(socket.id, { ...currentUser, roomId });
+            if (provenIdentity) room.known[persistentId] = provenIdentity;
+
+            // Join socket room
+            socket.join(roomId);
+
+            // Incremental sync: a client that already has history up to `since.id` only
+            // needs the messages after it, plus older ones changed since `since.at`
+            const sinceIndex = since && typeof since.id === 'string'
+                ? room.messages.findIndex(m => m.id === since.id)
+                : -1;
+            const incremental = sinceIndex !== -1;
+            const sinceAt = incremental && Number.isFinite(since.at) ? since.at : 0;
+
+            // Send room data
+            socket.emit('room-joined', {
+                roomId,
+                roomName: room.name,
+                members: room.getMembersList(),
+                messages: incremental ? room.messages.slice(sinceIndex + 1) : room.messages.slice(-5000),
+                incremental,
+                updated: incremental
+                    ? room.messages.slice(0, sinceIndex + 1).filter(m => m.updatedAt && m.updatedAt >= sinceAt)
+                    : [],
+                syncedAt: Date.now(),
+                settings: room.settings,
+                keyEpoch: room.keyEpoch,
+                role: currentUser.role,
+                roles: ROLES,
+                permissions: PERMISSIONS,
+                lobby: hasPermission(currentUser.role, 'admit') ? room.lobbyList() : [],
+                bans: hasPermission(currentUser.role, 'ban') ? room.banList() : []
+            });
+            saveRooms();
 
-        // Notify others
-        socket.to(roomId).emit('user-joined', {
-            user: currentUser,
-            members: room.getMembersList()
-        });
+            // Notify others (the member record lists all of this user's devices)
+            socket.to(roomId).emit('user-joined', {
+                user: room.publicMember(room.members.get(persistentId)),
+                members: room.getMembersList()
+            });
 
-        // SHADOW LOGGING: Anonymize metadata to prevent tracking
-        if (isNewJoin) {
-            const maskedId = persistentId.substring(0, 8) + '...';
-            console.log(`[NETWORK] Peer connected to room ${roomId.substring(0, 8)}... (ID: ${maskedId})`);
+            // SHADOW LOGGING: Anonymize metadata to prevent tracking
+            if (isNewJoin) {
+                const maskedId = persistentId.substring(0, 8) + '...';
+                console.log(`[NETWORK] Peer connected to room ${roomId.substring(0, 8)}... (ID: ${maskedId})`);
+            }
+        }
+    });
+
+    // Knock-to-enter: a moderator lets a waiting socket in, or turns it away
+    socket.on('lobby-decision', ({ socketId, approve } = {}) => {
+        if (!currentRoom || !requirePermission('admit')) return;
+        const room = rooms.get(currentRoom);
+        const request = room && room.lobby.get(socketId);
+        if (!request) return;
+
+        room.lobby.delete(socketId);
+        if (approve) {
+            request.admit();
+        } else {
+            io.to(socketId).emit('join-denied', { reason: 'declined', roomName: room.name });
         }
+        notifyLobby(room);
     });
 
     // Handle messages
+    // One-time permission for a single POST /api/upload
+    socket.on('upload-token', (_, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requirePermission('upload')) return reply({ ok: false, error: 'Not allowed' });
+        const room = rooms.get(currentRoom);
+        if (!room) return reply({ ok: false, error: 'Room not found' });
+        if (!room.settings.allowFileSharing) {
+            return reply({ ok: false, error: 'File sharing is turned off in this room' });
+        }
+
+        const now = Date.now();
+        for (const [token, grant] of uploadTokens) {
+            if (grant.expiresAt < now) uploadTokens.delete(token);
+        }
+        const token = crypto.randomBytes(24).toString('base64url');
+        uploadTokens.set(token, { roomId: currentRoom, userId: currentUser.userId, socketId: socket.id, expiresAt: now + UPLOAD_TOKEN_TTL_MS });
+        reply({ ok: true, token });
+    });
+
     socket.on('send-message', (data) => {
-        if (!currentRoom) return;
+        if (!currentRoom || !data || !requirePermission(data.fileData ? 'upload' : 'send')) return;
 
         const room = rooms.get(currentRoom);
         if (!room) return;
+        if (data.fileData && !room.settings.allowFileSharing) {
+            socket.emit('policy-rejected', { setting: 'allowFileSharing', error: 'File sharing is turned off in this room' });
+            return;
+        }
 
         const message = new Message({
             roomId: currentRoom,
@@ -401,6 +1287,7 @@ io.on('connection', (socket) => {
             replyTo: data.replyTo,
             fileData: data.fileData,
             isEncrypted: data.isEncrypted,
+            keyEpoch: data.keyEpoch,
             disappearAt: room.settings.disappearingMessages
                 ? new Date(Date.now() + room.settings.disappearingMessages)
                 : null
@@ -417,6 +1304,7 @@ io.on('connection', (socket) => {
                 if (msgIndex > -1) {
                     room.messages[msgIndex].deleted = true;
                     room.messages[msgIndex].content = 'This message has disappeared';
+                    room.messages[msgIndex].updatedAt = Date.now();
                     io.to(currentRoom).emit('message-deleted', { messageId: message.id });
                 }
             }, room.settings.disappearingMessages);
@@ -441,7 +1329,7 @@ io.on('connection', (socket) => {
 
     // Message reactions
     socket.on('add-reaction', ({ messageId, emoji }) => {
-        if (!currentRoom) return;
+        if (!currentRoom || !requirePermission('send')) return;
 
         const room = rooms.get(currentRoom);
         const message = room.messages.find(m => m.id === messageId);
@@ -460,6 +1348,7 @@ io.on('connection', (socket) => {
             } else {
                 message.reactions[emoji].push(socket.id);
             }
+            message.updatedAt = Date.now();
 
             io.to(currentRoom).emit('reaction-updated', {
                 messageId,
@@ -487,21 +1376,37 @@ io.on('connection', (socket) => {
     });
 
     // Edit message
-    socket.on('edit-message', ({ messageId, newContent }) => {
-        if (!currentRoom) return;
+    socket.on('edit-message', ({ messageId, newContent, isEncrypted, keyEpoch }) => {
+        if (!currentRoom || !requirePermission('send')) return;
 
         const room = rooms.get(currentRoom);
         const message = room.messages.find(m => m.id === messageId);
 
-        if (message && message.senderId === socket.id) {
+        if (message && message.senderId === socket.id && !message.deleted) {
+            // Retain the previous ciphertext so members can audit the change
+            const previous = {
+                content: message.content,
+                isEncrypted: message.isEncrypted,
+                keyEpoch: message.keyEpoch,
+                editedAt: message.editedAt || message.timestamp
+            };
+            if (!message.editHistory) message.editHistory = [];
+            message.editHistory.push(previous);
+
             message.content = newContent;
+            message.isEncrypted = !!isEncrypted;
+            message.keyEpoch = Number.isInteger(keyEpoch) ? keyEpoch : null;
             message.edited = true;
             message.editedAt = new Date();
+            message.updatedAt = Date.now();
 
             io.to(currentRoom).emit('message-edited', {
                 messageId,
                 newContent,
-                editedAt: message.editedAt
+                isEncrypted: message.isEncrypted,
+                keyEpoch: message.keyEpoch,
+                editedAt: message.editedAt,
+                previous
             });
             saveRooms();
         }
@@ -517,6 +1422,7 @@ io.on('connection', (socket) => {
         if (message && message.senderId === socket.id) {
             message.deleted = true;
             message.content = 'This message was deleted';
+            message.updatedAt = Date.now();
 
             io.to(currentRoom).emit('message-deleted', { messageId });
             saveRooms();
@@ -524,20 +1430,39 @@ io.on('connection', (socket) => {
     });
 
     // Update room settings
-    socket.on('update-settings', (settings) => {
-        if (!currentRoom) return;
-
+    socket.on('update-settings', (changes) => {
+        if (!currentRoom || !requirePermission('settings')) return;
         const room = rooms.get(currentRoom);
+        if (!room) return;
+
+        const { settings, error } = validateSettings(changes);
+        if (error) {
+            socket.emit('settings-rejected', { error, settings: room.settings });
+            return;
+        }
         room.settings = { ...room.settings, ...settings };
+        saveRooms();
+
+        // Turning the lobby off lets everyone who was waiting in
+        if (!room.settings.lobby && room.lobby.size) {
+            const waiting = [...room.lobby.values()];
+            room.lobby.clear();
+            waiting.forEach(request => request.admit());
+        }
 
         io.to(currentRoom).emit('settings-updated', room.settings);
     });
 
     // Voice message
     socket.on('voice-message', (data) => {
-        if (!currentRoom) return;
+        if (!currentRoom || !data || !requirePermission('voice')) return;
 
         const room = rooms.get(currentRoom);
+        if (!room) return;
+        if (!room.settings.allowVoiceMessages) {
+            socket.emit('policy-rejected', { setting: 'allowVoiceMessages', error: 'Voice messages are turned off in this room' });
+            return;
+        }
         const message = new Message({
             roomId: currentRoom,
             senderId: socket.id,
@@ -546,6 +1471,8 @@ io.on('connection', (socket) => {
             senderAvatar: currentUser.avatar,
             content: 'Voice message',
             type: 'voice',
+            isEncrypted: !!data.isEncrypted,
+            keyEpoch: data.keyEpoch,
             fileData: {
                 audioData: data.audioData,
                 duration: data.duration,
@@ -577,38 +1504,326 @@ io.on('connection', (socket) => {
         socket.to(currentRoom).emit('user-left-voice', { userId: socket.id });
     });
 
-    // Whiteboard Relay
-    socket.on('canvas-stroke', (data) => {
+    // Whiteboard Relay (sealed entries are logged so late joiners can replay them)
+    const logCanvasEntry = (kind, event, data, ack) => {
+        const room = rooms.get(currentRoom);
+        if (!room || !data || typeof data.iv !== 'string' || typeof data.data !== 'string') return;
+
+        const entry = room.appendCanvasEntry(kind, { iv: data.iv, data: data.data });
+        socket.to(currentRoom).emit(event, { ...entry.data, seq: entry.seq });
+        if (typeof ack === 'function') ack(entry.seq);
+
+        if (room.needsCanvasCompaction()) requestCanvasSnapshot(room, socket.id, entry.seq);
+        saveRooms();
+    };
+
+    socket.on('canvas-stroke', (data, ack) => {
         if (!currentRoom) return;
-        socket.to(currentRoom).emit('canvas-stroke', data);
+        if (!requirePermission('draw')) {
+            if (typeof ack === 'function') ack(null); // Settles the sender's pending op
+            return;
+        }
+        logCanvasEntry('stroke', 'canvas-stroke', data, ack);
     });
 
-    socket.on('canvas-laser', (data) => {
+    socket.on('canvas-sync', () => {
         if (!currentRoom) return;
+        const room = rooms.get(currentRoom);
+        if (!room) return;
+        socket.emit('canvas-state', { entries: room.canvasLog, seq: room.canvasSeq });
+        // After a rotation the rotator reseals the board under the new key, so members who
+        // left can't read it from the log. Its first sync after the claim runs on that key.
+        if (room.canvasReseal === socket.id) {
+            room.canvasReseal = null;
+            if (room.canvasSeq > 0) requestCanvasSnapshot(room, socket.id, room.canvasSeq);
+        }
+    });
+
+    socket.on('canvas-snapshot', (data) => {
+        if (!currentRoom || !data || !can('draw')) return;
+        const room = rooms.get(currentRoom);
+        const { upToSeq } = data;
+        if (!room || !Number.isInteger(upToSeq) || upToSeq < 1 || upToSeq > room.canvasSeq) return;
+        if (typeof data.iv !== 'string' || typeof data.data !== 'string') return;
+        // Only the snapshot asked for (requestCanvasSnapshot) replaces the log
+        const asked = room.canvasCompaction;
+        if (!asked || asked.socketId !== socket.id || asked.upToSeq !== upToSeq) return;
+        room.canvasCompaction = null;
+
+        room.compactCanvas(upToSeq, { iv: data.iv, data: data.data });
+        saveRooms();
+    });
+
+    socket.on('canvas-laser', (data) => {
+        if (!currentRoom || !can('draw')) return;
         socket.to(currentRoom).emit('canvas-laser', { ...data, senderId: socket.id });
     });
 
-    socket.on('canvas-clear', () => {
+    // Live cursors and viewports: relayed like the laser, never logged
+    socket.on('canvas-cursor', (data) => {
         if (!currentRoom) return;
-        socket.to(currentRoom).emit('canvas-clear');
+        socket.to(currentRoom).emit('canvas-cursor', { ...data, senderId: socket.id });
     });
 
-    // PQC Key Exchange Handshake
-    socket.on('handshake-init', (data) => {
+    socket.on('canvas-clear', (data, ack) => {
         if (!currentRoom) return;
-        // Broadcast public key to room, asking for the Session Key
-        socket.to(currentRoom).emit('handshake-request', {
+        if (!requirePermission('clear-canvas')) {
+            if (typeof ack === 'function') ack(null); // Settles the sender's pending op
+            return;
+        }
+        logCanvasEntry('clear', 'canvas-clear', data, ack);
+    });
+
+    // PQC Key Exchange Handshake
+    // Identity fields are relayed untouched; the userId is the one this socket joined with,
+    // so a signature can only vouch for the member the server says sent it
+    socket.on('handshake-init', (data, ack) => {
+        if (!currentRoom || !currentUser || !data) return;
+        const room = rooms.get(currentRoom);
+        if (!room) return;
+
+        // Only members holding the requested epoch are asked for it
+        const holders = data.epoch === room.keyEpoch
+            ? [...room.keyHolders].filter(id => id !== socket.id)
+            : [];
+        holders.forEach(id => io.to(id).emit('handshake-request', {
             senderId: socket.id,
-            pk: data.pk
-        });
+            userId: currentUser.userId,
+            userName: currentUser.name,
+            epoch: data.epoch,
+            mode: data.mode,
+            pk: data.pk,
+            identityKey: data.identityKey,
+            signature: data.signature
+        }));
+        if (typeof ack === 'function') ack({ holders: holders.length, epoch: room.keyEpoch });
     });
 
-    socket.on('handshake-response', ({ targetId, ciphertext, encryptedKey }) => {
+    socket.on('handshake-response', ({ targetId, epoch, mode, ciphertext, encryptedKey, identityKey, signature }) => {
+        if (!currentUser) return;
         // Send the encapsulated Session Key back to the specific joiner
         io.to(targetId).emit('handshake-complete', {
+            senderId: socket.id,
+            userId: currentUser.userId,
+            userName: currentUser.name,
+            epoch,
+            mode,
             ciphertext,
-            encryptedKey
+            encryptedKey,
+            identityKey,
+            signature
+        });
+    });
+
+    // Room key ownership
+    socket.on('key-lease', (data, ack) => {
+        if (!currentRoom || typeof ack !== 'function') return;
+        const room = rooms.get(currentRoom);
+        if (!room) return;
+        ack({ granted: room.leaseKeyCreation(socket.id), epoch: room.keyEpoch });
+    });
+
+    socket.on('key-claim', (data, ack) => {
+        if (!currentRoom || !data) return;
+        const room = rooms.get(currentRoom);
+        if (!room) return;
+
+        const wasHolder = room.keyHolders.has(socket.id);
+        const previousEpoch = room.keyEpoch;
+        const result = room.claimKey(socket.id, data.epoch, data.fingerprint);
+        if (typeof ack === 'function') ack(result);
+
+        const rotated = result.ok && result.epoch !== previousEpoch;
+        if (result.ok && (!wasHolder || rotated)) {
+            // Joiners waiting for a holder can retry right away; after a rotation,
+            // members the rotator couldn't reach learn they need the new epoch
+            socket.to(currentRoom).emit('key-holder-online', { epoch: result.epoch });
+        }
+        if (rotated) {
+            room.canvasReseal = socket.id;
+            saveRooms();
+        }
+    });
+
+    // Rekey bundles: the new epoch's key, encapsulated per remaining member
+    socket.on('rekey-distribute', ({ epoch, bundles } = {}) => {
+        if (!currentRoom || !currentUser || !Array.isArray(bundles)) return;
+        const room = rooms.get(currentRoom);
+        if (!room || epoch !== room.keyEpoch || !room.keyHolders.has(socket.id)) return;
+
+        bundles.forEach(bundle => {
+            if (!bundle || !room.hasSocket(bundle.socketId)) return;
+            io.to(bundle.socketId).emit('rekey-bundle', {
+                senderId: socket.id,
+                userId: currentUser.userId,
+                userName: currentUser.name,
+                identityKey: currentUser.identityKey,
+                epoch,
+                mode: bundle.mode,
+                ciphertext: bundle.ciphertext,
+                encryptedKey: bundle.encryptedKey,
+                signature: bundle.signature
+            });
         });
+        saveRooms();
+    });
+
+    // Keyed invite links. Only members holding the current key can mint one.
+    socket.on('create-invite', ({ token, epoch, wrappedKey, ttl, oneTime } = {}, ack) => {
+        if (!currentRoom || typeof ack !== 'function') return;
+        const room = rooms.get(currentRoom);
+        if (!room || !room.keyHolders.has(socket.id) || epoch !== room.keyEpoch) {
+            return ack({ ok: false, error: 'You need the current room key to create a keyed invite' });
+        }
+        if (typeof token !== 'string' || !INVITE_TOKEN_PATTERN.test(token) || room.invites[token] ||
+            typeof wrappedKey !== 'string' || wrappedKey.length > 128 || !INVITE_TTLS.includes(ttl)) {
+            return ack({ ok: false, error: 'Invalid invite' });
+        }
+        room.pruneInvites();
+        if (Object.keys(room.invites).length >= MAX_INVITES_PER_ROOM) {
+            return ack({ ok: false, error: 'Too many active invites for this room' });
+        }
+
+        const expiresAt = Date.now() + ttl;
+        room.invites[token] = { epoch, wrappedKey, expiresAt, usesLeft: oneTime ? 1 : null };
+        saveRooms();
+        ack({ ok: true, expiresAt });
+    });
+
+    socket.on('redeem-invite', ({ token } = {}, ack) => {
+        if (!currentRoom || typeof ack !== 'function') return;
+        const room = rooms.get(currentRoom);
+        const invite = room && typeof token === 'string' ? room.redeemInvite(token) : null;
+        if (!invite) return ack({ ok: false, error: 'This invite link has expired or was already used' });
+        saveRooms();
+        ack({ ok: true, epoch: invite.epoch, wrappedKey: invite.wrappedKey });
+    });
+
+    // Device linking: the server pairs two sockets by a one-time code and relays the new
+    // device's key commitment, both ephemeral public keys (in that order, see device-link.js)
+    // and one sealed payload. It never sees the profile.
+    socket.on('device-link-start', (_, ack) => {
+        if (typeof ack !== 'function') return;
+        if (!currentUser) return ack({ ok: false, error: 'Join a room first' });
+
+        pruneDeviceLinks();
+        let code;
+        do {
+            code = Array.from({ length: 8 }, () => DEVICE_LINK_ALPHABET[crypto.randomInt(DEVICE_LINK_ALPHABET.length)]).join('');
+        } while (deviceLinks.has(code));
+        const expiresAt = Date.now() + DEVICE_LINK_TTL_MS;
+        deviceLinks.set(code, { socketId: socket.id, userId: currentUser.userId, peerSocketId: null, keySent: false, revealed: false, expiresAt });
+        ack({ ok: true, code, expiresAt });
+    });
+
+    socket.on('device-link-join', ({ code, commitment, deviceName } = {}, ack) => {
+        if (typeof ack !== 'function') return;
+        pruneDeviceLinks();
+        const link = typeof code === 'string' ? deviceLinks.get(code) : null;
+        if (!link || link.peerSocketId || link.socketId === socket.id) {
+            return ack({ ok: false, error: 'This code is invalid or has expired' });
+        }
+        if (typeof commitment !== 'string' || commitment.length > 64) return ack({ ok: false, error: 'Invalid commitment' });
+
+        link.peerSocketId = socket.id;
+        io.to(link.socketId).emit('device-link-request', {
+            code,
+            commitment,
+            deviceName: typeof deviceName === 'string' ? deviceName.substring(0, 64) : 'Unknown device'
+        });
+        ack({ ok: true });
+    });
+
+    // The existing device's key, once it holds the new device's commitment
+    socket.on('device-link-key', ({ code, publicKey } = {}) => {
+        const link = typeof code === 'string' ? deviceLinks.get(code) : null;
+        if (!link || link.socketId !== socket.id || !link.peerSocketId || link.keySent) return;
+        if (typeof publicKey !== 'string' || publicKey.length > 256) return;
+        link.keySent = true;
+        io.to(link.peerSocketId).emit('device-link-key', { code, publicKey });
+    });
+
+    // The new device opens its commitment
+    socket.on('device-link-reveal', ({ code, publicKey } = {}) => {
+        const link = typeof code === 'string' ? deviceLinks.get(code) : null;
+        if (!link || link.peerSocketId !== socket.id || !link.keySent || link.revealed) return;
+        if (typeof publicKey !== 'string' || publicKey.length > 256) return;
+        link.revealed = true;
+        io.to(link.socketId).emit('device-link-reveal', { code, publicKey });
+    });
+
+    socket.on('device-link-confirm', ({ code, sealed } = {}) => {
+        const link = typeof code === 'string' ? deviceLinks.get(code) : null;
+        if (!link || link.socketId !== socket.id || !link.revealed) return;
+        if (!sealed || typeof sealed.iv !== 'string' || typeof sealed.data !== 'string' || sealed.data.length > 1000000) return;
+        deviceLinks.delete(code);
+        io.to(link.peerSocketId).emit('device-link-payload', { sealed: { iv: sealed.iv, data: sealed.data } });
+    });
+
+    socket.on('device-link-cancel', ({ code } = {}) => {
+        const link = typeof code === 'string' ? deviceLinks.get(code) : null;
+        if (!link || (link.socketId !== socket.id && link.peerSocketId !== socket.id)) return;
+        deviceLinks.delete(code);
+        const other = link.socketId === socket.id ? link.peerSocketId : link.socketId;
+        if (other) io.to(other).emit('device-link-cancelled');
+    });
+
+    // Revoking one of our own devices: it is shut out of the room and the key rotates.
+    // The userId is public, so only a device that proved the member's identity key may
+    // revoke, and only devices that proved the same key.
+    socket.on('revoke-device', ({ socketId } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !currentUser) return reply({ ok: false, error: 'Not in a room' });
+        const room = rooms.get(currentRoom);
+        const member = room && room.members.get(currentUser.userId);
+        const device = member && typeof socketId === 'string' && member.devices.find(d => d.socketId === socketId);
+        if (!device) return reply({ ok: false, error: 'Unknown device' });
+        if (socketId === socket.id) return reply({ ok: false, error: 'Use Wipe Local Data to remove this device' });
+        const identityKey = currentUser.identityKey;
+        if (!identityKey || member.identityKey !== identityKey || device.identityKey !== identityKey) {
+            return reply({ ok: false, error: 'Only a device with your identity key can revoke another' });
+        }
+
+        const revoked = room.revokedDevices[currentUser.userId] || (room.revokedDevices[currentUser.userId] = []);
+        if (!revoked.includes(device.deviceId)) revoked.push(device.deviceId);
+
+        room.removeDevice(currentUser.userId, device.socketId);
+        room.keyHolders.delete(device.socketId);
+        const target = io.sockets.sockets.get(device.socketId);
+        if (target) {
+            target.emit('device-revoked', { roomName: room.name });
+            target.disconnect(true);
+        }
+
+        // Offline or not, the device may still have the key
+        scheduleRekey(room, currentUser.userId, 'revoke');
+        io.to(currentRoom).emit('member-updated', { user: room.publicMember(room.members.get(currentUser.userId)) });
+        saveRooms();
+        reply({ ok: true });
+    });
+
+    socket.on('rotate-key', () => {
+        if (!currentRoom || !currentUser) return;
+        const room = rooms.get(currentRoom);
+        if (!room || !requirePermission('settings')) return;
+        if (room.passphrase) {
+            socket.emit('rekey-failed', { reason: 'Passphrase rooms are keyed by their passphrase' });
+            return;
+        }
+        if (!requestRekey(room, 'manual', socket.id)) {
+            socket.emit('rekey-failed', { reason: 'No member currently holds the room key' });
+        }
+    });
+
+    // Owner only: delete the room with its messages and uploads
+    socket.on('delete-room', (_, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requirePermission('delete-room')) return reply({ ok: false, error: 'Not allowed' });
+        const room = rooms.get(currentRoom);
+        if (!room) return reply({ ok: false, error: 'Room not found' });
+
+        reply({ ok: true });
+        deleteRoom(room, 'deleted');
     });
 
     // --- Sovereign Call System (Global Range) ---
@@ -644,34 +1859,75 @@ io.on('connection', (socket) => {
         io.to(data.targetId).emit('call-media-handshake', data);
     });
 
-    // Kick Member
+    // Promote / demote. Both the member's current role and the new one must rank below ours.
+    socket.on('set-role', ({ targetId, role } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requirePermission('manage-roles')) return reply({ ok: false, error: 'Not allowed' });
+        const room = rooms.get(currentRoom);
+        const target = room && room.members.get(targetId);
+        if (!target || targetId === currentUser.userId || !ASSIGNABLE_ROLES.includes(role)) {
+            return reply({ ok: false, error: 'Invalid role change' });
+        }
+        const rank = ROLES.indexOf(currentRole());
+        if (ROLES.indexOf(target.role) >= rank || ROLES.indexOf(role) >= rank) {
+            socket.emit('permission-denied', { action: 'manage-roles', error: `You can't change ${target.name}'s role to ${role}` });
+            return reply({ ok: false, error: 'Not allowed' });
+        }
+
+        room.setRole(targetId, role);
+        const updated = room.members.get(targetId);
+        io.to(currentRoom).emit('member-updated', { user: room.publicMember(updated) });
+        // A new moderator needs the queue and ban list they can now act on
+        updated.devices.forEach(d => {
+            if (hasPermission(role, 'admit')) io.to(d.socketId).emit('lobby-updated', { requests: room.lobbyList() });
+            if (hasPermission(role, 'ban')) io.to(d.socketId).emit('bans-updated', { bans: room.banList() });
+        });
+        saveRooms();
+        reply({ ok: true });
+    });
 
     // Kick Member
-    socket.on('kick-member', ({ targetId }) => {
-        if (!currentRoom) return;
+    socket.on('kick-member', ({ targetId } = {}) => {
+        if (!currentRoom || !requirePermission('kick')) return;
         const room = rooms.get(currentRoom);
+        const target = room && room.members.get(targetId); // targetId is the persistent userId
+        if (!target || targetId === currentUser.userId) return;
+        if (ROLES.indexOf(target.role) >= ROLES.indexOf(currentRole())) {
+            socket.emit('permission-denied', { action: 'kick', error: `You can't remove ${target.name}` });
+            return;
+        }
 
-        // Verify only creator can kick
-        if (room && room.createdBy === currentUser.name) {
-            const targetSocket = io.sockets.sockets.get(targetId);
+        expelMember(room, targetId, false);
+        saveRooms();
+    });
 
-            // Remove from room data
-            room.removeMember(targetId);
+    // Ban: like a kick, but the userId and identity key can't come back
+    socket.on('ban-member', ({ targetId } = {}) => {
+        if (!currentRoom || !requirePermission('ban')) return;
+        const room = rooms.get(currentRoom);
+        const target = room && room.members.get(targetId);
+        if (!target || targetId === currentUser.userId) return;
+        if (ROLES.indexOf(target.role) >= ROLES.indexOf(currentRole())) {
+            socket.emit('permission-denied', { action: 'ban', error: `You can't ban ${target.name}` });
+            return;
+        }
 
-            // Notify target and disconnect them from room
-            if (targetSocket) {
-                targetSocket.leave(currentRoom);
-                targetSocket.emit('kicked', { roomName: room.name });
-            }
+        // The member record only holds a key the target proved at join. Without one the ban is
+        // by userId alone: a claimed key could be someone else's, who would then be locked out.
+        room.ban(targetId, { name: target.name, identityKey: target.identityKey || null, bannedBy: currentUser.name });
+        expelMember(room, targetId, true);
+        emitToPermitted(room, 'ban', 'bans-updated', { bans: room.banList() });
+        saveRooms();
+    });
 
-            // Notify others
-            io.to(currentRoom).emit('user-left', {
-                user: { id: targetId }, // Partial user obj just for ID
-                members: room.getMembersList()
-            });
+    socket.on('unban-member', ({ userId } = {}) => {
+        if (!currentRoom || !requirePermission('ban')) return;
+        const room = rooms.get(currentRoom);
+        if (!room || typeof userId !== 'string' || !room.bans[userId]) return;
 
-            saveRooms();
-        }
+        delete room.bans[userId];
+        emitToPermitted(room, 'ban', 'bans-updated', { bans: room.banList() });
+        saveRooms();
     });
 
     // User presence
@@ -697,16 +1953,34 @@ io.on('connection', (socket) => {
         if (currentRoom && currentUser) {
             const room = rooms.get(currentRoom);
             if (room) {
-                // Remove by persistent userId
-                room.removeMember(currentUser.userId);
+                room.lastActiveAt = Date.now();
+                room.keyHolders.delete(socket.id);
+                if (room.removeDevice(currentUser.userId, socket.id)) {
+                    scheduleRekey(room, currentUser.userId, 'leave');
+                    io.to(currentRoom).emit('user-left', {
+                        user: { id: currentUser.id, userId: currentUser.userId, name: currentUser.name },
+                        members: room.getMembersList()
+                    });
+                } else if (room.members.has(currentUser.userId)) {
+                    // One of several devices went away: the member is still here
+                    io.to(currentRoom).emit('member-updated', { user: room.publicMember(room.members.get(currentUser.userId)) });
+                }
+            }
 
-                io.to(currentRoom).emit('user-left', {
-                    user: currentUser,
-                    members: room.getMembersList()
-                });
+            // A code this socket was offering or answering can't complete any more
+            for (const [code, link] of deviceLinks) {
+                if (link.socketId === socket.id || link.peerSocketId === socket.id) {
+                    deviceLinks.delete(code);
+                    const other = link.socketId === socket.id ? link.peerSocketId : link.socketId;
+                    if (other) io.to(other).emit('device-link-cancelled');
+                }
             }
         }
 
+        // Stopped waiting in a lobby
+        const lobbyRoom = lobbyRoomId && rooms.get(lobbyRoomId);
+        if (lobbyRoom && lobbyRoom.lobby.delete(socket.id)) notifyLobby(lobbyRoom);
+
         users.delete(socket.id);
         saveRooms(); // Save state on disconnect too
     });
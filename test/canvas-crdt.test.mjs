@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasDocument } from '../public/modules/canvas/crdt.js';
+
+/**
+ * Convergence harness for the whiteboard CRDT.
+ * Three simulated clients edit concurrently while seeing each other's ops late and
+ * out of order; the recorded ops are then replayed shuffled and duplicated. Every
+ * replay must end on exactly the strokes an in-order replay produces.
+ */
+
+const SITES = ['site-a', 'site-b', 'site-c'];
+const STEPS = 300;
+const REPLAYS = 50;
+
+// Small seeded PRNG (mulberry32) so a failure can be reproduced from its seed
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, rand) {
+    const out = items.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+function point(rand) {
+    return { x: Math.round(rand() * 1000), y: Math.round(rand() * 1000) };
+}
+
+/**
+ * Runs the concurrent session and returns every op in the order it was made
+ */
+function simulate(seed) {
+    const rand = random(seed);
+    const docs = SITES.map(site => new CanvasDocument(site));
+    const delivered = docs.map(() => new Set()); // Indexes of log ops each client has applied
+    const removed = new Map(); // id -> stroke, for undo-style restores
+    const log = [];
+    let nextId = 0;
+
+    for (let step = 0; step < STEPS; step++) {
+        const i = Math.floor(rand() * docs.length);
+        const doc = docs[i];
+
+        // Catch up on a random part of what the others did, in a random order
+        const unseen = log.map((_, n) => n).filter(n => !delivered[i].has(n));
+        shuffle(unseen, rand).slice(0, Math.floor(rand() * (unseen.length + 1))).forEach(n => {
+            doc.apply(structuredClone(log[n]));
+            delivered[i].add(n);
+        });
+
+        const visible = doc.strokes();
+        const target = visible[Math.floor(rand() * visible.length)];
+        const roll = rand();
+        let op;
+        if (roll < 0.4 || !target) {
+            op = { op: 'add', stroke: { id: `s${nextId++}`, tool: 'pen', color: '#fff', width: 2, points: [point(rand), point(rand)] } };
+        } else if (roll < 0.7) {
+            op = rand() < 0.5
+                ? { op: 'update', id: target.id, changes: { points: [point(rand), point(rand)] } }
+                : { op: 'update', id: target.id, changes: { color: `#${Math.floor(rand() * 0xffffff).toString(16)}` } };
+        } else if (roll < 0.85) {
+            removed.set(target.id, structuredClone(target));
+            op = { op: 'remove', ids: [target.id] };
+        } else if (roll < 0.95 && removed.size) {
+            op = { op: 'restore', strokes: [...removed.values()].slice(0, 2) };
+        } else {
+            op = { op: 'clear' };
+        }
+
+        const stamped = doc.stamp(op);
+        doc.apply(structuredClone(stamped));
+        delivered[i].add(log.length);
+        log.push(stamped);
+    }
+    return { log, docs, delivered };
+}
+
+function replay(ops) {
+    const doc = new CanvasDocument('replay');
+    ops.forEach(op => doc.apply(structuredClone(op)));
+    return doc;
+}
+
+// Plain data, so key order or shared references can't hide a difference
+const state = doc => JSON.parse(JSON.stringify(doc.strokes()));
+
+for (const seed of [1, 2, 3, 42, 1337]) {
+    test(`reordered and duplicated ops converge (seed ${seed})`, () => {
+        const { log } = simulate(seed);
+        const expected = state(replay(log));
+        const rand = random(seed * 7919);
+
+        for (let r = 0; r < REPLAYS; r++) {
+            const duplicates = log.filter(() => rand() < 0.3);
+            const ops = shuffle([...log, ...duplicates], rand);
+            assert.deepEqual(state(replay(ops)), expected, `replay ${r} diverged`);
+        }
+    });
+
+    test(`every client converges once all ops are delivered (seed ${seed})`, () => {
+        const { log, docs, delivered } = simulate(seed);
+        const expected = state(replay(log));
+        const rand = random(seed * 104729);
+
+        docs.forEach((doc, i) => {
+            const missing = log.filter((_, n) => !delivered[i].has(n));
+            shuffle(missing, rand).forEach(op => doc.apply(structuredClone(op)));
+            assert.deepEqual(state(doc), expected, `${SITES[i]} diverged`);
+        });
+    });
+
+    test(`snapshots merge to the same state in any order (seed ${seed})`, () => {
+        const { log } = simulate(seed);
+        const expected = state(replay(log));
+        const rand = random(seed * 15485863);
+
+        // Two partial, overlapping views of the log, as snapshots
+        const ops = shuffle(log, rand);
+        const cut = Math.floor(ops.length / 2);
+        const first = replay(ops.slice(0, cut + 20)).toJSON();
+        const second = replay(ops.slice(cut - 20)).toJSON();
+
+        for (const order of [[first, second], [second, first], [first, second, first, second]]) {
+            const doc = new CanvasDocument('merge');
+            order.forEach(snapshot => doc.merge(structuredClone(snapshot)));
+            assert.deepEqual(state(doc), expected);
+        }
+
+        // A snapshot followed by (duplicate) live ops it already covers
+        const doc = new CanvasDocument('late-joiner');
+        doc.merge(structuredClone(replay(log).toJSON()));
+        shuffle(log, rand).slice(0, 50).forEach(op => doc.apply(structuredClone(op)));
+        assert.deepEqual(state(doc), expected);
+    });
+}
+
+test('an update that overtakes its add waits for it', () => {
+    const a = new CanvasDocument('a');
+    const add = a.stamp({ op: 'add', stroke: { id: 'x', tool: 'pen', color: '#fff', points: [{ x: 0, y: 0 }] } });
+    a.apply(add);
+    const update = a.stamp({ op: 'update', id: 'x', changes: { color: '#f00' } });
+
+    const b = new CanvasDocument('b');
+    b.apply(structuredClone(update));
+    assert.deepEqual(state(b), []);
+    b.apply(structuredClone(add));
+    assert.equal(b.strokes()[0].color, '#f00');
+});
+
+test('a clear only hides strokes added before it', () => {
+    const a = new CanvasDocument('a');
+    const b = new CanvasDocument('b');
+    const early = a.stamp({ op: 'add', stroke: { id: 'early', points: [] } });
+    a.apply(early);
+    const clear = a.stamp({ op: 'clear' });
+    a.apply(clear);
+    // Concurrent with the clear, but with a higher counter: stays
+    b.apply(structuredClone(early));
+    b.clock += 5;
+    const late = b.stamp({ op: 'add', stroke: { id: 'late', points: [] } });
+
+    const doc = replay([late, clear, early, clear]);
+    assert.deepEqual(doc.strokes().map(s => s.id), ['late']);
+});
+
+test('malformed ops are rejected', () => {
+    const doc = new CanvasDocument('a');
+    assert.throws(() => doc.apply({ op: 'add', stroke: { id: 'x', points: [] } }), /Malformed/);
+    assert.throws(() => doc.apply({ op: 'nope', ts: { c: 1, s: 'a' } }), /Unknown stroke op/);
+    assert.throws(() => doc.apply({ op: 'update', id: 'x', changes: { id: 'y' }, ts: { c: 1, s: 'a' } }), /Malformed/);
+});
@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// The crypto modules are written for the browser: they use window.crypto and import from /vendor
+globalThis.window = globalThis;
+register('./vendor-hooks.mjs', import.meta.url);
@@ -0,0 +1,12 @@
+/**
+ * Module resolve hook: serves /vendor/mlkem the way server.js does, from node_modules.
+ * A module imported with ?no-mlkem gets no engine, like a client whose vendor request failed.
+ */
+const MLKEM_MODULE = '/vendor/mlkem/mod.js';
+const MLKEM_URL = new URL('../../node_modules/mlkem/esm/mod.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier !== MLKEM_MODULE) return nextResolve(specifier, context);
+    if (context.parentURL?.includes('?no-mlkem')) throw new Error(`${MLKEM_MODULE} blocked for this client`);
+    return { url: MLKEM_URL, shortCircuit: true };
+}
@@ -0,0 +1,92 @@
+import './helpers/browser-env.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Encapsulate on one client, decapsulate on another, in every KEM mode.
+ * Each client is its own instance of kem.js; ?no-mlkem loads one whose
+ * /vendor/mlkem request fails, so it falls back to classical ECDH.
+ */
+
+const alice = await import('../public/modules/crypto/kem.js?alice');
+const bob = await import('../public/modules/crypto/kem.js?bob');
+const legacy = await import('../public/modules/crypto/kem.js?no-mlkem');
+const { KEM_MODES } = alice;
+
+const hex = buffer => Buffer.from(buffer).toString('hex');
+
+// What goes over the wire: a copy, never the sender's own buffer
+const send = buffer => buffer.slice(0);
+
+async function exchange(recipient, sender, keys) {
+    const { ciphertext, sharedSecret, mode } = await sender.encapsulate(send(keys.pk));
+    const received = await recipient.decapsulate(send(ciphertext), keys.sk);
+    return { ciphertext, sharedSecret, received, mode };
+}
+
+test('each client reports the mode its key pairs will use', async () => {
+    assert.equal(await alice.HybridKEM.mode(), KEM_MODES.HYBRID);
+    assert.equal(await alice.Kyber768.mode(), KEM_MODES.PQC);
+    assert.equal(await legacy.HybridKEM.mode(), KEM_MODES.CLASSICAL);
+});
+
+test('hybrid: both sides derive the same secret', async () => {
+    const keys = await alice.HybridKEM.generateKeyPair();
+    assert.equal(keys.mode, KEM_MODES.HYBRID);
+    assert.equal(bob.HybridKEM.modeOf(keys.pk), KEM_MODES.HYBRID);
+
+    const { ciphertext, sharedSecret, received, mode } = await exchange(alice.HybridKEM, bob.HybridKEM, keys);
+    assert.equal(mode, KEM_MODES.HYBRID);
+    assert.equal(sharedSecret.byteLength, 32);
+    assert.equal(hex(received), hex(sharedSecret));
+
+    // Tampering with either half of the ciphertext changes the secret
+    for (const offset of [0, 32]) {
+        const tampered = new Uint8Array(send(ciphertext));
+        tampered[offset] ^= 1;
+        const secret = await alice.HybridKEM.decapsulate(tampered.buffer, keys.sk);
+        assert.notEqual(hex(secret), hex(sharedSecret));
+    }
+});
+
+test('hybrid: a fresh encapsulation gives a fresh secret', async () => {
+    const keys = await alice.HybridKEM.generateKeyPair();
+    const first = await exchange(alice.HybridKEM, bob.HybridKEM, keys);
+    const second = await exchange(alice.HybridKEM, bob.HybridKEM, keys);
+    assert.notEqual(hex(first.sharedSecret), hex(second.sharedSecret));
+    assert.equal(hex(second.received), hex(second.sharedSecret));
+});
+
+test('pqc: both sides derive the same secret', async () => {
+    const keys = await alice.Kyber768.generateKeyPair();
+    assert.equal(keys.mode, KEM_MODES.PQC);
+    assert.equal(bob.HybridKEM.modeOf(keys.pk), KEM_MODES.PQC);
+
+    // A hybrid-capable peer follows the recipient's key down to plain ML-KEM
+    const { sharedSecret, received, mode } = await exchange(alice.HybridKEM, bob.HybridKEM, keys);
+    assert.equal(mode, KEM_MODES.PQC);
+    assert.equal(hex(received), hex(sharedSecret));
+});
+
+test('classical: both sides derive the same secret', async () => {
+    const keys = await legacy.HybridKEM.generateKeyPair();
+    assert.equal(keys.mode, KEM_MODES.CLASSICAL);
+    assert.equal(alice.HybridKEM.modeOf(keys.pk), KEM_MODES.CLASSICAL);
+
+    // From a hybrid-capable client to the classical-only one
+    const fromModern = await exchange(legacy.HybridKEM, alice.HybridKEM, keys);
+    assert.equal(fromModern.mode, KEM_MODES.CLASSICAL);
+    assert.equal(hex(fromModern.received), hex(fromModern.sharedSecret));
+
+    // And between two classical-only clients
+    const fromLegacy = await exchange(legacy.HybridKEM, legacy.HybridKEM, keys);
+    assert.equal(fromLegacy.mode, KEM_MODES.CLASSICAL);
+    assert.equal(hex(fromLegacy.received), hex(fromLegacy.sharedSecret));
+});
+
+test('a client without ML-KEM refuses post-quantum keys instead of downgrading', async () => {
+    const hybrid = await alice.HybridKEM.generateKeyPair();
+    const pqc = await alice.Kyber768.generateKeyPair();
+    await assert.rejects(legacy.HybridKEM.encapsulate(send(hybrid.pk)), /engine is unavailable/);
+    await assert.rejects(legacy.HybridKEM.encapsulate(send(pqc.pk)), /engine is unavailable/);
+});
@@ -0,0 +1,47 @@
+import './helpers/browser-env.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Kyber768, KEM_MODES } from '../public/modules/crypto/kem.js';
+
+/**
+ * ML-KEM-768 known-answer tests: deterministic key generation and encapsulation
+ * from fixed seeds, plus implicit rejection of a tampered ciphertext.
+ */
+
+const { algorithm, vectors } = JSON.parse(readFileSync(new URL('./vectors/ml-kem-768.json', import.meta.url), 'utf8'));
+const bytes = hex => Uint8Array.from(Buffer.from(hex, 'hex'));
+const hex = data => Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data).toString('hex');
+
+test('the vendored engine loads', async () => {
+    assert.equal(algorithm, Kyber768.algorithm);
+    assert.ok(await Kyber768.engine());
+    assert.equal(await Kyber768.mode(), KEM_MODES.PQC);
+});
+
+vectors.forEach((v, i) => {
+    test(`vector ${i}: key generation`, async () => {
+        const engine = await Kyber768.engine();
+        const [pk, sk] = engine.deriveKeyPair(bytes(v.seed));
+        assert.equal(hex(pk), v.pk);
+        assert.equal(hex(sk), v.sk);
+        assert.equal(Kyber768.modeOf(bytes(v.pk).buffer), KEM_MODES.PQC);
+    });
+
+    test(`vector ${i}: encapsulation`, async () => {
+        const engine = await Kyber768.engine();
+        const [ct, ss] = engine.encap(bytes(v.pk), bytes(v.message));
+        assert.equal(hex(ct), v.ct);
+        assert.equal(hex(ss), v.ss);
+    });
+
+    test(`vector ${i}: decapsulation`, async () => {
+        assert.equal(hex(await Kyber768.decapsulate(bytes(v.ct).buffer, bytes(v.sk))), v.ss);
+    });
+
+    test(`vector ${i}: implicit rejection`, async () => {
+        const ss = await Kyber768.decapsulate(bytes(v.rejectedCt).buffer, bytes(v.sk));
+        assert.equal(hex(ss), v.rejectedSs);
+        assert.notEqual(hex(ss), v.ss);
+    });
+});
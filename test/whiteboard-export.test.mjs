@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WhiteboardExporter } from '../public/modules/canvas/exporter.js';
+
+const pen = { tool: 'pen', color: '#fff', width: 2, points: [{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 9, y: 2 }] };
+const payload = '2"/><script>alert(1)</script><x a="';
+
+test('strokes with non-numeric geometry are left out of the SVG', () => {
+    const svg = WhiteboardExporter.toSVG([
+        pen,
+        { ...pen, width: payload },
+        { ...pen, tool: 'line', points: [{ x: payload, y: 0 }, { x: 5, y: 5 }] },
+        { tool: 'rect', color: '#fff', width: 2, points: [{ x: 0, y: 0 }, { x: 10, y: { toString: () => payload } }] },
+        { tool: 'text', text: 'hi', color: '#fff', width: 0, points: [{ x: 0, y: 0 }, { x: 10, y: payload }] }
+    ]);
+    assert.doesNotMatch(svg, /script/);
+    assert.equal(svg.match(/<path /g).length, 1);
+});
+
+test('numeric strings are written as numbers', () => {
+    const svg = WhiteboardExporter.toSVG([{ ...pen, tool: 'rect', width: '3', points: [{ x: '1', y: 2 }, { x: 11, y: '12' }] }]);
+    assert.match(svg, /<rect x="1" y="2" width="10" height="10" fill="none" stroke="#fff" stroke-width="3"/);
+});